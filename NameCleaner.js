@@ -1,11 +1,10 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import { 
   Search, 
   CheckCircle2, 
   Plus, 
   Upload, 
   Download, 
-  AlertCircle, 
   ArrowRight,
   Filter,
   Layers,
@@ -14,53 +13,3055 @@ import {
   Save,
   Cloud,
   CloudDownload,
-  Loader2
+  Loader2,
+  Columns,
+  X,
+  Wand2,
+  SlidersHorizontal,
+  Trash2,
+  Undo2,
+  Redo2,
+  History,
+  FolderOpen,
+  Copy,
+  Pencil,
+  HardDrive,
+  FileJson,
+  BookMarked,
+  ListChecks,
+  MapPin,
+  AlertTriangle,
+  StickyNote,
+  ClipboardCheck,
+  Keyboard,
+  ArrowUpDown,
+  ArrowUp,
+  ArrowDown,
+  BarChart3,
+  Users,
+  Lock
 } from 'lucide-react';
 
+// --- Match Engine Imports ---
+import {
+  getSimilarityScore,
+  SCORERS,
+  DEFAULT_SCORER,
+  DEFAULT_NORMALIZATION,
+  compileNormalizer,
+  createReference,
+  referenceTerms,
+  normalizeReferences,
+  uniqueReferenceId,
+  describeLocation,
+  recordsFromRows,
+  mergeReferences,
+  createMatch,
+  isConfirmedMatch,
+  isPinnedMatch,
+  normalizeMatches,
+  checkConstraints,
+  createMatchState,
+  handleMatchMessage,
+  WORKER_FUNCTIONS,
+  SCORER_FUNCTIONS,
+  DELIMITERS,
+  parseCsv,
+  guessNameColumn,
+  guessReferenceColumns,
+  toDelimited,
+  ALIAS_NEAR_EXACT,
+  learnAliases,
+  forgetAliases,
+  resolveAlias,
+  buildAliasTable,
+  parseAliasTable,
+  DEFAULT_ACCEPT_AT,
+  DEFAULT_REVIEW_AT,
+  rowsFromTable
+} from './matchEngine.mjs';
+
 // --- Firebase Imports ---
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
   signInWithCustomToken, 
   signInAnonymously, 
-  onAuthStateChanged 
+  onAuthStateChanged,
+  connectAuthEmulator
 } from 'firebase/auth';
 import { 
   getFirestore, 
   doc, 
   setDoc, 
   getDoc, 
-  collection 
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  collection,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  connectFirestoreEmulator
 } from 'firebase/firestore';
 
-// --- Firebase Initialization ---
-const firebaseConfig = JSON.parse(__firebase_config);
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+// --- Firebase Initialization ---
+// Firebase is optional: without a config the app runs on local storage only
+const readJsonSetting = (text, label) => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    console.error(`Ignoring malformed ${label}:`, err);
+    return null;
+  }
+};
+
+const firebaseConfig = readJsonSetting(typeof __firebase_config !== 'undefined' && __firebase_config, 'Firebase config');
+const app = firebaseConfig ? initializeApp(firebaseConfig) : null;
+const auth = app ? getAuth(app) : null;
+const db = app ? getFirestore(app) : null;
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+// Local emulators, e.g. for trying shared sessions in two browsers without a project:
+//   __firebase_emulators = '{"firestore":"localhost:8080","auth":"localhost:9099"}'
+const emulators = app && readJsonSetting(typeof __firebase_emulators !== 'undefined' && __firebase_emulators, 'emulator hosts');
+if (emulators && emulators.firestore) {
+  const [host, port] = emulators.firestore.split(':');
+  connectFirestoreEmulator(db, host, Number(port));
+}
+if (emulators && emulators.auth) connectAuthEmulator(auth, `http://${emulators.auth}`, { disableWarnings: true });
+
+// --- Utility: Match Methods ---
+// A match is { refId, method, score, scorer }; 'suggested' matches still need a reviewer
+const MATCH_METHODS = {
+  auto: { label: 'Auto', className: 'border-green-200 text-green-700' },
+  suggested: { label: 'Suggested', className: 'border-amber-200 text-amber-700' },
+  manual: { label: 'Manual', className: 'border-blue-200 text-blue-700' },
+  memory: { label: 'From memory', className: 'border-purple-200 text-purple-700' }
+};
+
+// --- Utility: Review Status ---
+// A row's status follows from its match plus an optional review { status, refId, note, rejected, by, at }.
+// Reviews hold only what a person decided: 'verified' (tied to the reference it confirmed),
+// 'flagged' as unresolvable, or 'not-facility'. A review may also be just a note. rejected
+// lists references QA turned down for the row, which auto-matching won't propose again.
+const ROW_STATUSES = {
+  unmatched: { label: 'Unmatched', className: 'bg-slate-100 text-slate-500' },
+  suggested: { label: 'Suggested', className: 'bg-amber-50 text-amber-700' },
+  matched: { label: 'Matched', className: 'bg-green-50 text-green-700' },
+  verified: { label: 'Verified', className: 'bg-teal-50 text-teal-700' },
+  flagged: { label: 'Unresolvable', className: 'bg-red-50 text-red-700' },
+  'not-facility': { label: 'Not a facility', className: 'bg-slate-200 text-slate-600' }
+};
+
+// Table filters over row statuses; 'remaining' is everything still waiting for a decision
+const STATUS_FILTERS = {
+  all: { label: 'All', statuses: null },
+  remaining: { label: 'Remaining', statuses: ['unmatched', 'suggested'] },
+  unmatched: { label: 'Unmatched', statuses: ['unmatched'] },
+  suggested: { label: 'Suggested', statuses: ['suggested'] },
+  matched: { label: 'Matched', statuses: ['matched', 'verified'] },
+  verified: { label: 'Verified', statuses: ['verified'] },
+  flagged: { label: 'Unresolvable', statuses: ['flagged'] },
+  'not-facility': { label: 'Not a facility', statuses: ['not-facility'] }
+};
+
+// The reviewer name is per browser, not per session
+const REVIEWER_STORAGE_KEY = 'namecleaner-reviewer';
+
+// Flagged and not-a-facility rows are finished without a reference
+const isSetAside = (review) => Boolean(review) && (review.status === 'flagged' || review.status === 'not-facility');
+
+const rowStatus = (match, review) => {
+  if (isSetAside(review)) return review.status;
+  if (!match) return 'unmatched';
+  if (match.method === 'suggested') return 'suggested';
+  if (review && review.status === 'verified' && review.refId === match.refId) return 'verified';
+  return 'matched';
+};
+
+// Stamps the change with who made it; a review left with no status and no note is dropped
+const updateReview = (review, patch, by) => {
+  const next = { status: null, refId: null, note: '', ...review, ...patch, by, at: new Date().toISOString() };
+  return next.status || next.note || (next.rejected && next.rejected.length > 0) ? next : null;
+};
+
+const withoutStamp = ({ by, at, ...rest }) => rest;
+
+const setReview = (reviews, id, review) => {
+  const next = { ...reviews };
+  if (review) next[id] = review;
+  else delete next[id];
+  return next;
+};
+
+// --- Utility: QA Sampling ---
+// A QA run is { ids, decisions: { [rawId]: { verdict, refId, method, by, at } }, size, startedAt, by }
+// over a random sample of confirmed matches, walked by a second reviewer.
+const sampleIds = (ids, size) => {
+  const pool = [...ids];
+  const count = Math.min(size, pool.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+};
+
+// Share of reviewed matches rejected, with a 95% Wilson interval so small samples
+// don't read as more certain than they are
+const qaErrorRate = (decisions) => {
+  const verdicts = Object.values(decisions);
+  const reviewed = verdicts.length;
+  const rejected = verdicts.filter(decision => decision.verdict === 'reject').length;
+  if (reviewed === 0) return { reviewed, rejected, rate: null, low: null, high: null };
+  const z = 1.96;
+  const rate = rejected / reviewed;
+  const denominator = 1 + (z * z) / reviewed;
+  const centre = (rate + (z * z) / (2 * reviewed)) / denominator;
+  const margin = (z * Math.sqrt((rate * (1 - rate)) / reviewed + (z * z) / (4 * reviewed * reviewed))) / denominator;
+  return { reviewed, rejected, rate, low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+};
+
+// --- Utility: Undo History ---
+// Each step stores only the rows it touched: { [rawId]: { before, after } }, the same
+// for reviews and alias memory entries it changed and QA verdicts it gave, plus the
+// before/after reference list when the step edited it.
+const HISTORY_LIMIT = 100;
+
+// Key order doesn't count: Firestore hands maps back with their keys sorted
+const canonicalJson = (value) =>
+  (value && typeof value === 'object' ? JSON.stringify(value, Object.keys(value).sort()) : JSON.stringify(value));
+
+const sameMatch = (a, b) => a === b || canonicalJson(a) === canonicalJson(b);
+
+const diffMatches = (before, after) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(id => {
+    if (!sameMatch(before[id], after[id])) changes[id] = { before: before[id], after: after[id] };
+  });
+  return changes;
+};
+
+// side is 'before' to undo a step and 'after' to redo it
+const applyMatchChanges = (matches, changes, side) => {
+  const next = { ...matches };
+  Object.entries(changes).forEach(([id, change]) => {
+    if (change[side]) next[id] = change[side];
+    else delete next[id];
+  });
+  return next;
+};
+
+// Drops rows from every step, once someone else has changed them in a shared session
+const withoutRows = (history, ids) => {
+  const strip = (changes) => changes && Object.fromEntries(Object.entries(changes).filter(([id]) => !ids.has(id)));
+  const prune = (entries) => entries
+    .map(entry => ({ ...entry, changes: strip(entry.changes), reviews: strip(entry.reviews) }))
+    .filter(entry => entry.references || Object.keys(entry.changes).length > 0 || (entry.reviews && Object.keys(entry.reviews).length > 0));
+  return { past: prune(history.past), future: prune(history.future) };
+};
+
+// --- Utility: Reference List Edits ---
+// Merges and deletes are expressed as "references in `from` become `to`" (or go away
+// when `to` is null), applied to the list and to every match pointing at them.
+// Merged names and aliases live on as aliases of the surviving reference.
+const replaceReferences = (references, from, to) => {
+  const absorbed = references
+    .filter(reference => from.has(reference.id) && reference.id !== to)
+    .flatMap(referenceTerms);
+  return references
+    .filter(reference => !from.has(reference.id) || reference.id === to)
+    .map(reference => {
+      if (reference.id !== to || absorbed.length === 0) return reference;
+      const aliases = [...new Set([...reference.aliases, ...absorbed])].filter(alias => alias !== reference.name);
+      return { ...reference, aliases };
+    });
+};
+
+const renameReference = (references, id, name) =>
+  references.map(reference => (reference.id === id ? { ...reference, name } : reference));
+
+// rescore(id, match, refId) builds the replacement match so scores stay meaningful
+const retargetMatches = (matches, from, to, rescore) => {
+  const next = { ...matches };
+  Object.entries(matches).forEach(([id, match]) => {
+    if (!from.has(match.refId)) return;
+    if (to === null) delete next[id];
+    else next[id] = rescore(id, match, to);
+  });
+  return next;
+};
+
+// --- Utility: Match Worker ---
+// Runs inside the worker; handle and scorers are injected by createMatchWorker
+const matchWorkerMain = (scope, handle, scorers) => {
+  let state = null;
+  scope.onmessage = (event) => {
+    const { requestId, type, payload } = event.data;
+    try {
+      const reply = handle(state, { type, payload }, scorers);
+      state = reply.state;
+      scope.postMessage({ requestId, result: reply.result });
+    } catch (err) {
+      scope.postMessage({ requestId, error: err.message });
+    }
+  };
+};
+
+// Builds the worker from the engine's functions. Declarations use each function's
+// runtime name, so the cross-references still line up after minification.
+const createMatchWorker = () => {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
+  // Builds that strip function names can't be re-declared by name
+  if (WORKER_FUNCTIONS.some(fn => !fn.name)) return null;
+  const scorers = Object.entries(SCORER_FUNCTIONS)
+    .map(([key, fn]) => `${JSON.stringify(key)}: ${fn.name}`)
+    .join(', ');
+  const source = [
+    ...WORKER_FUNCTIONS.map(fn => `const ${fn.name} = ${fn.toString()};`),
+    `(${matchWorkerMain.toString()})(self, ${handleMatchMessage.name}, { ${scorers} });`
+  ].join('\n');
+  const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+  try {
+    return { worker: new Worker(url), url };
+  } catch (err) {
+    console.error("Match worker unavailable, scoring on the main thread:", err);
+    URL.revokeObjectURL(url);
+    return null;
+  }
+};
+
+// --- Hook: Match Engine ---
+// Keeps the worker's index in sync with the data and returns an async request
+// function. Falls back to running the engine on the main thread if the worker
+// can't start or crashes.
+const useMatchEngine = (rawInputs, references, normalization) => {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(new Map());
+  const nextRequestRef = useRef(0);
+  const localStateRef = useRef(null);
+  const latestLoadRef = useRef(null);
+
+  const runLocally = useCallback((type, payload) => {
+    if (!localStateRef.current && latestLoadRef.current && type !== 'load') {
+      localStateRef.current = createMatchState(latestLoadRef.current, SCORER_FUNCTIONS);
+    }
+    const reply = handleMatchMessage(localStateRef.current, { type, payload }, SCORER_FUNCTIONS);
+    localStateRef.current = reply.state;
+    return reply.result;
+  }, []);
+
+  useEffect(() => {
+    const created = createMatchWorker();
+    if (!created) return undefined;
+    const { worker, url } = created;
+
+    const settle = (requestId, outcome) => {
+      const pending = pendingRef.current.get(requestId);
+      if (!pending) return;
+      pendingRef.current.delete(requestId);
+      outcome(pending);
+    };
+
+    worker.onmessage = (event) => {
+      const { requestId, result, error } = event.data;
+      settle(requestId, pending => (error ? pending.reject(new Error(error)) : pending.resolve(result)));
+    };
+    worker.onerror = (event) => {
+      console.error("Match worker failed, scoring on the main thread:", event.message);
+      worker.terminate();
+      workerRef.current = null;
+      // Replay whatever was in flight locally
+      pendingRef.current.forEach(({ type, payload }, requestId) => {
+        settle(requestId, pending => {
+          try {
+            pending.resolve(runLocally(type, payload));
+          } catch (err) {
+            pending.reject(err);
+          }
+        });
+      });
+    };
+
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      workerRef.current = null;
+    };
+  }, [runLocally]);
+
+  const request = useCallback((type, payload) => {
+    if (type === 'load') {
+      latestLoadRef.current = payload;
+      localStateRef.current = null;
+    } else if (type === 'setReferences' && latestLoadRef.current) {
+      latestLoadRef.current = { ...latestLoadRef.current, references: payload.references };
+    }
+
+    const worker = workerRef.current;
+    if (!worker) {
+      return new Promise((resolve, reject) => {
+        try {
+          resolve(type === 'load' ? null : runLocally(type, payload));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    }
+    return new Promise((resolve, reject) => {
+      const requestId = ++nextRequestRef.current;
+      pendingRef.current.set(requestId, { resolve, reject, type, payload });
+      worker.postMessage({ requestId, type, payload });
+    });
+  }, [runLocally]);
+
+  // Attributes and passthrough fields go along for the constraint rules
+  const indexedReferences = useMemo(
+    () => references.map(({ id, name, aliases, attributes }) => ({ id, name, aliases, attributes })),
+    [references]
+  );
+
+  // Rebuild the full index when the raw file or rules change...
+  useEffect(() => {
+    request('load', {
+      raw: rawInputs.map(({ id, text, fields }) => ({ id, text, fields: fields || {} })),
+      references: indexedReferences,
+      normalization
+    });
+  }, [request, rawInputs, normalization]);
+
+  // ...but only the reference side when the reference list is edited
+  useEffect(() => {
+    request('setReferences', { references: indexedReferences });
+  }, [request, indexedReferences]);
+
+  return request;
+};
+
+// --- Hook: Virtual List ---
+// Renders only the rows near the viewport of a scrolling container. Row heights vary
+// (fields, notes, the review editor), so rendered rows report their height through
+// `measure` and the rest are assumed to be `estimate` tall.
+const useVirtualList = (keys, { estimate = 72, overscan = 8 } = {}) => {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const frameRef = useRef(null);
+  const scrollTopRef = useRef(0);
+  const [viewport, setViewport] = useState(600);
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const update = () => setViewport(container.clientHeight || 600);
+    update();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(update);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => () => {
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  // One re-render per frame, however many rows or scroll events arrive
+  const schedule = useCallback(() => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      setVersion(version => version + 1);
+    });
+  }, []);
+
+  const onScroll = useCallback((e) => {
+    scrollTopRef.current = e.currentTarget.scrollTop;
+    schedule();
+  }, [schedule]);
+
+  const measure = useCallback((key, element) => {
+    if (!element) return;
+    const height = element.offsetHeight;
+    if (height > 0 && heightsRef.current.get(key) !== height) {
+      heightsRef.current.set(key, height);
+      schedule();
+    }
+  }, [schedule]);
+
+  const scrollToTop = useCallback(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+    scrollTopRef.current = 0;
+    schedule();
+  }, [schedule]);
+
+  const heightOf = (key) => heightsRef.current.get(key) || estimate;
+  const scrollTop = scrollTopRef.current;
+  let first = 0;
+  let offset = 0;
+  while (first < keys.length - 1 && offset + heightOf(keys[first]) <= scrollTop) {
+    offset += heightOf(keys[first]);
+    first++;
+  }
+  let last = first;
+  let covered = offset;
+  while (last < keys.length && covered < scrollTop + viewport) {
+    covered += heightOf(keys[last]);
+    last++;
+  }
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(keys.length, last + overscan);
+  let padTop = 0;
+  for (let i = 0; i < start; i++) padTop += heightOf(keys[i]);
+  let padBottom = 0;
+  for (let i = end; i < keys.length; i++) padBottom += heightOf(keys[i]);
+
+  return { containerRef, onScroll, measure, scrollToTop, start, end, padTop, padBottom };
+};
+
+// --- Utility: Session Documents ---
+// Firestore rejects nested arrays, so source rows are stored as { cells } maps
+const serializeRawSource = (source) => source && ({
+  ...source,
+  rows: (source.rows || []).map(cells => ({ cells }))
+});
+
+const deserializeRawSource = (source) => source && ({
+  ...source,
+  rows: (source.rows || []).map(row => (Array.isArray(row) ? row : row.cells))
+});
+
+// Everything a session restores; state is initialised from these exact references
+// so an untouched app doesn't count as having unsaved changes.
+const EMPTY_SESSION = {
+  rawInputs: [],
+  rawSource: null,
+  references: [],
+  matches: {},
+  reviews: {},
+  qa: null,
+  normalization: DEFAULT_NORMALIZATION,
+  scorer: DEFAULT_SCORER,
+  constraints: [],
+  acceptAt: DEFAULT_ACCEPT_AT,
+  reviewAt: DEFAULT_REVIEW_AT
+};
+
+const countConfirmed = (matches) => Object.values(matches).filter(isConfirmedMatch).length;
+
+const toSessionDocument = (content, name) => ({
+  name,
+  rawInputs: content.rawInputs,
+  rawSource: serializeRawSource(content.rawSource),
+  references: content.references,
+  matches: content.matches,
+  reviews: content.reviews,
+  qa: content.qa,
+  normalization: content.normalization,
+  scorer: content.scorer,
+  constraints: content.constraints,
+  acceptAt: content.acceptAt,
+  reviewAt: content.reviewAt,
+  // Kept alongside the data so the session list can show progress cheaply
+  stats: { total: content.rawInputs.length, matched: countConfirmed(content.matches) },
+  lastUpdated: new Date().toISOString()
+});
+
+const readThreshold = (value, fallback) => (typeof value === 'number' && value >= 0 && value <= 1 ? value : fallback);
+
+const fromSessionDocument = (data) => ({
+  rawInputs: data.rawInputs || [],
+  rawSource: deserializeRawSource(data.rawSource) || null,
+  // Sessions saved before reference records kept a list of plain names
+  references: normalizeReferences(data.references || data.cleanNames),
+  matches: normalizeMatches(data.matches),
+  reviews: data.reviews || {},
+  qa: data.qa || null,
+  normalization: { ...DEFAULT_NORMALIZATION, ...data.normalization },
+  scorer: SCORERS[data.scorer] ? data.scorer : DEFAULT_SCORER,
+  constraints: data.constraints || [],
+  // Sessions saved before thresholds were kept use the defaults
+  acceptAt: readThreshold(data.acceptAt, DEFAULT_ACCEPT_AT),
+  reviewAt: Math.min(readThreshold(data.reviewAt, DEFAULT_REVIEW_AT), readThreshold(data.acceptAt, DEFAULT_ACCEPT_AT))
+});
+
+// Sessions written before naming existed (e.g. the old current_session) have no name or stats
+const summarizeSession = (id, data) => ({
+  id,
+  name: data.name || 'Untitled session',
+  backupOf: data.backupOf || null,
+  lastUpdated: data.lastUpdated || null,
+  total: data.stats ? data.stats.total : (data.rawInputs || []).length,
+  matched: data.stats ? data.stats.matched : countConfirmed(normalizeMatches(data.matches))
+});
+
+// --- Utility: Storage Backends ---
+// Every backend exposes the same async interface over session documents:
+//   newId() -> id, list() -> [summary], load(id, { onProgress }) -> document | null,
+//   save(id, document), rename(id, name), remove(id)
+// The shared backend adds live row edits on top, see createSharedStorage.
+// Firestore rejects documents over 1 MiB, so cloud sessions are split into a small head
+// document plus pages in a `chunks` subcollection, each page well under the limit.
+const CHUNK_CHARS = 256 * 1024;
+const MATCH_PAGE_ROWS = 1000;
+
+// Greedy pages of whole items, each roughly CHUNK_CHARS of JSON
+const paginate = (items) => {
+  const pages = [];
+  let page = [];
+  let size = 0;
+  items.forEach(item => {
+    const itemSize = JSON.stringify(item).length;
+    if (page.length > 0 && size + itemSize > CHUNK_CHARS) {
+      pages.push(page);
+      page = [];
+      size = 0;
+    }
+    page.push(item);
+    size += itemSize;
+  });
+  if (page.length > 0) pages.push(page);
+  return pages;
+};
+
+const fingerprint = (value) => crc32(new TextEncoder().encode(JSON.stringify(value))).toString(16);
+
+const splitSessionDocument = ({ rawInputs, rawSource, references, matches, reviews = {}, ...head }) => {
+  const chunks = {};
+  paginate(rawInputs).forEach((items, i) => { chunks[`raw-${i}`] = { items }; });
+  paginate(rawSource ? rawSource.rows : []).forEach((items, i) => { chunks[`source-${i}`] = { items }; });
+  paginate(references).forEach((items, i) => { chunks[`clean-${i}`] = { items }; });
+  // Matches and reviews stay sparse maps keyed by raw id, paged by row position so a
+  // single edit only rewrites the page holding that row
+  [['matches', matches], ['reviews', reviews]].forEach(([kind, byId]) => {
+    for (let start = 0; start < rawInputs.length; start += MATCH_PAGE_ROWS) {
+      const page = {};
+      rawInputs.slice(start, start + MATCH_PAGE_ROWS).forEach(item => {
+        if (byId[item.id]) page[item.id] = byId[item.id];
+      });
+      if (Object.keys(page).length > 0) chunks[`${kind}-${start / MATCH_PAGE_ROWS}`] = { [kind]: page };
+    }
+  });
+  return {
+    head: { ...head, rawSource: rawSource && { ...rawSource, rows: [] }, chunked: 2 },
+    chunks
+  };
+};
+
+const joinSessionDocument = ({ chunked, chunkHashes, ...head }, chunks) => {
+  const idsOf = (kind) => Object.keys(chunks)
+    .filter(id => id.startsWith(`${kind}-`))
+    .sort((a, b) => Number(a.slice(kind.length + 1)) - Number(b.slice(kind.length + 1)));
+  const itemsOf = (kind) => idsOf(kind).flatMap(id => chunks[id].items);
+  return {
+    ...head,
+    rawInputs: itemsOf('raw'),
+    rawSource: head.rawSource && { ...head.rawSource, rows: itemsOf('source') },
+    references: itemsOf('clean'),
+    matches: Object.assign({}, ...idsOf('matches').map(id => chunks[id].matches)),
+    reviews: Object.assign({}, ...idsOf('reviews').map(id => chunks[id].reviews))
+  };
+};
+
+// Pages are stored under content-addressed ids, so saving never overwrites a page the
+// current head lists: a save writes the pages the head doesn't have yet, switches the head
+// over in a transaction, and only then drops the pages nothing lists any more. A save
+// that fails partway leaves the old head and every page it lists untouched.
+const STALE_PAGES_PER_TRANSACTION = 400; // Transactions allow 500 writes
+
+// Heads saved before content addressing say chunked: true rather than 2 and list their
+// pages under bare ids
+const pageDocId = (head, chunkId) => (head.chunked === true ? chunkId : `${chunkId}-${head.chunkHashes[chunkId]}`);
+
+const pageDocIdsOf = (head) => (head && head.chunked
+  ? Object.keys(head.chunkHashes || {}).map(chunkId => pageDocId(head, chunkId))
+  : []);
+
+const headVersion = (head) => (head ? canonicalJson([head.lastUpdated, head.chunkHashes || null]) : null);
+
+// The error code of a save refused because someone else saved the session first
+const SAVED_ELSEWHERE = 'saved-elsewhere';
+
+// path is the segments of the sessions collection. With rejectStaleSaves a save fails
+// with SAVED_ELSEWHERE when the session was saved since this client last loaded or saved
+// it, instead of replacing that save.
+const createFirestoreStorage = (firestore, path, { kind = 'cloud', label = 'Cloud', rejectStaleSaves = false } = {}) => {
+  const sessions = () => collection(firestore, ...path);
+  const sessionRef = (id) => doc(firestore, ...path, id);
+  const chunkRef = (id, pageId) => doc(sessionRef(id), 'chunks', pageId);
+  // lastUpdated of each session's head as this client last loaded or saved it
+  const seen = new Map();
+
+  const readHead = async (id) => {
+    const snapshot = await getDoc(sessionRef(id));
+    return snapshot.exists() ? snapshot.data() : null;
+  };
+
+  return {
+    kind,
+    label,
+    newId: () => doc(sessions()).id,
+    list: async () => {
+      const snapshot = await getDocs(sessions());
+      return snapshot.docs.map(d => summarizeSession(d.id, d.data()));
+    },
+    load: async (id, { onProgress = () => {} } = {}) => {
+      const head = await readHead(id);
+      if (!head) return null;
+      seen.set(id, head.lastUpdated);
+      if (!head.chunked) return head; // Saved as a single document before chunking
+      const chunkIds = Object.keys(head.chunkHashes || {});
+      let loaded = 0;
+      onProgress(0, chunkIds.length);
+      const pages = await Promise.all(chunkIds.map(async chunkId => {
+        const page = await getDoc(chunkRef(id, pageDocId(head, chunkId)));
+        if (!page.exists()) throw new Error(`Session ${id} is missing page ${chunkId}`);
+        onProgress(++loaded, chunkIds.length);
+        return [chunkId, page.data()];
+      }));
+      return joinSessionDocument(head, Object.fromEntries(pages));
+    },
+    save: async (id, document) => {
+      const { head, chunks } = splitSessionDocument(document);
+      const next = {
+        ...head,
+        chunkHashes: Object.fromEntries(Object.entries(chunks).map(([chunkId, data]) => [chunkId, fingerprint(data)]))
+      };
+      const nextPageIds = new Set(pageDocIdsOf(next));
+      let current = await readHead(id);
+      for (;;) {
+        if (rejectStaleSaves && current && current.lastUpdated !== seen.get(id)) {
+          const err = new Error(`${current.savedByName || 'Someone else'} saved this session after you opened it. Reopen it to pick up their changes, then save again.`);
+          err.code = SAVED_ELSEWHERE;
+          throw err;
+        }
+        const present = new Set(pageDocIdsOf(current));
+        await Promise.all(Object.keys(chunks)
+          .filter(chunkId => !present.has(pageDocId(next, chunkId)))
+          .map(chunkId => setDoc(chunkRef(id, pageDocId(next, chunkId)), chunks[chunkId])));
+        // Pages were skipped because the head we read lists them. If another tab or device
+        // saved since, they may be gone, so plan again against its head.
+        const outcome = await runTransaction(firestore, async (transaction) => {
+          const snapshot = await transaction.get(sessionRef(id));
+          const latest = snapshot.exists() ? snapshot.data() : null;
+          if (headVersion(latest) !== headVersion(current)) return { latest };
+          const stale = pageDocIdsOf(latest).filter(pageId => !nextPageIds.has(pageId));
+          transaction.set(sessionRef(id), next);
+          stale.slice(0, STALE_PAGES_PER_TRANSACTION).forEach(pageId => transaction.delete(chunkRef(id, pageId)));
+          return { stale: stale.slice(STALE_PAGES_PER_TRANSACTION) };
+        });
+        if (outcome.stale) {
+          seen.set(id, next.lastUpdated);
+          await Promise.all(outcome.stale.map(pageId => deleteDoc(chunkRef(id, pageId))));
+          return;
+        }
+        current = outcome.latest;
+      }
+    },
+    rename: (id, name) => updateDoc(sessionRef(id), { name }),
+    // Also clears pages orphaned by saves that failed before switching the head
+    remove: async (id) => {
+      const pages = await getDocs(collection(sessionRef(id), 'chunks'));
+      await Promise.all(pages.docs.map(page => deleteDoc(page.ref)));
+      await deleteDoc(sessionRef(id));
+      seen.delete(id);
+    }
+  };
+};
+
+// Shared sessions live in one collection any signed-in analyst can open. The head and
+// pages are stored as for the cloud backend, but row decisions go in a `rows`
+// subcollection, one document per raw row:
+//   { match, review, claim: { uid, name, at } | null, version, by: { uid, name }, at }
+// Row edits are written as they happen and reach everyone else through onSnapshot. An
+// edit carries the version of the row its author last saw and is only written if the
+// row is still at that version: the first write wins, and the later author gets the row
+// back as the other person left it. The reference list and settings are shared by saving.
+const ROW_WRITE_BATCH = 400; // Transactions allow 500 writes
+const CLAIM_BATCH = 500; // Rows taken per "Claim next" click
+const EMPTY_ROW = { match: null, review: null, claim: null, version: 0, by: null, at: null };
+
+// The row to store for an edit of { match?, review? } or { claim }, or null if it loses.
+// Claims are first come, first served and only their holder can release them.
+const applyRowEdit = (current, { fields, version }, author, at) => {
+  const row = current || EMPTY_ROW;
+  if ('claim' in fields) {
+    return row.claim && row.claim.uid !== author.uid ? null : { ...row, claim: fields.claim };
+  }
+  if (row.version !== version) return null;
+  return { ...row, ...fields, version: row.version + 1, by: author, at };
+};
+
+// [{ id, row }] -> the matches, reviews and claims they hold, keyed by raw id
+const decisionsFromRows = (rows) => {
+  const decisions = { matches: {}, reviews: {}, claims: {} };
+  rows.forEach(({ id, row }) => {
+    if (row.match) decisions.matches[id] = row.match;
+    if (row.review) decisions.reviews[id] = row.review;
+    if (row.claim) decisions.claims[id] = row.claim;
+  });
+  return decisions;
+};
+
+// For edits that lost to someone else's write
+const describeRowConflicts = (conflicts) => {
+  const names = [...new Set(conflicts.map(({ row }) => (row.by && row.by.name) || 'Someone else'))].join(', ');
+  return conflicts.length === 1
+    ? `${names} changed a row first; their edit stands.`
+    : `${names} changed ${conflicts.length} of these rows first; their edits stand.`;
+};
+
+const createSharedStorage = (firestore, projectId, uid) => {
+  const path = ['artifacts', projectId, 'shared_sessions'];
+  // Saving replaces the reference list and settings for everyone, so it has to start from
+  // the last save
+  const base = createFirestoreStorage(firestore, path, { kind: 'shared', label: 'Shared', rejectStaleSaves: true });
+  const rowsOf = (id) => collection(firestore, ...path, id, 'rows');
+  const rowRef = (id, rowId) => doc(firestore, ...path, id, 'rows', rowId);
+  // Per session: each row as last seen from the server, the version a row will have once
+  // our queued writes land, and the queue, so our own writes never race each other
+  const trackers = new Map();
+  const tracker = (id) => {
+    if (!trackers.has(id)) trackers.set(id, { rows: new Map(), projected: new Map(), queue: Promise.resolve() });
+    return trackers.get(id);
+  };
+
+  // edits are [{ id, fields }]; resolves to { written, conflicts }, each [{ id, row }]
+  const writeRows = (id, edits, author) => {
+    const state = tracker(id);
+    const versioned = edits.map(({ id: rowId, fields }) => {
+      const key = String(rowId);
+      if ('claim' in fields) return { id: key, fields };
+      const version = state.projected.has(key) ? state.projected.get(key) : (state.rows.get(key) || EMPTY_ROW).version;
+      state.projected.set(key, version + 1);
+      return { id: key, fields, version };
+    });
+    const run = async () => {
+      const result = { written: [], conflicts: [] };
+      try {
+        for (let start = 0; start < versioned.length; start += ROW_WRITE_BATCH) {
+          const batch = versioned.slice(start, start + ROW_WRITE_BATCH);
+          const at = new Date().toISOString();
+          const outcomes = await runTransaction(firestore, async (transaction) => {
+            const snapshots = await Promise.all(batch.map(edit => transaction.get(rowRef(id, edit.id))));
+            return batch.map((edit, i) => {
+              const current = snapshots[i].exists() ? snapshots[i].data() : null;
+              const row = applyRowEdit(current, edit, author, at);
+              if (row) transaction.set(rowRef(id, edit.id), row);
+              return { id: edit.id, row: row || current || EMPTY_ROW, won: Boolean(row) };
+            });
+          });
+          outcomes.forEach(({ id: key, row, won }) => {
+            state.rows.set(key, row);
+            if (!won || state.projected.get(key) === row.version) state.projected.delete(key);
+            (won ? result.written : result.conflicts).push({ id: key, row });
+          });
+        }
+      } catch (err) {
+        versioned.forEach(edit => state.projected.delete(edit.id));
+        throw err;
+      }
+      return result;
+    };
+    const pending = state.queue.then(run);
+    state.queue = pending.catch(() => {});
+    return pending;
+  };
+
+  return {
+    ...base,
+    load: async (id, options) => {
+      const data = await base.load(id, options);
+      if (!data) return null;
+      const snapshot = await getDocs(rowsOf(id));
+      const state = tracker(id);
+      const rows = snapshot.docs.map(d => ({ id: d.id, row: d.data() }));
+      rows.forEach(({ id: key, row }) => state.rows.set(key, row));
+      return { ...data, ...decisionsFromRows(rows) };
+    },
+    // Rows that differ from the server are written like any other edit; the result says
+    // which of them lost to someone else
+    save: async (id, { matches = {}, reviews = {}, ...document }, author = { uid, name: null }) => {
+      await base.save(id, { ...document, matches: {}, reviews: {}, savedBy: uid, savedByName: author.name });
+      const state = tracker(id);
+      const ids = new Set([...Object.keys(matches), ...Object.keys(reviews), ...state.rows.keys()]);
+      const edits = [...ids]
+        .filter(key => {
+          const row = state.rows.get(key) || EMPTY_ROW;
+          return !sameMatch(row.match, matches[key] || null) || !sameMatch(row.review, reviews[key] || null);
+        })
+        .map(key => ({ id: key, fields: { match: matches[key] || null, review: reviews[key] || null } }));
+      return edits.length > 0 ? writeRows(id, edits, author) : { written: [], conflicts: [] };
+    },
+    remove: async (id) => {
+      const snapshot = await getDocs(rowsOf(id));
+      for (let start = 0; start < snapshot.docs.length; start += ROW_WRITE_BATCH) {
+        const batch = writeBatch(firestore);
+        snapshot.docs.slice(start, start + ROW_WRITE_BATCH).forEach(d => batch.delete(d.ref));
+        await batch.commit();
+      }
+      await base.remove(id);
+      trackers.delete(id);
+    },
+    writeRows,
+    // onRows gets [{ id, row }] for rows changed since we last saw them; onRemoteSave gets
+    // the head whenever someone else saves the session
+    subscribe: (id, { onRows, onRemoteSave, onError }) => {
+      const state = tracker(id);
+      const stopRows = onSnapshot(rowsOf(id), (snapshot) => {
+        const changed = [];
+        snapshot.docChanges().forEach(change => {
+          const row = change.type === 'removed' ? EMPTY_ROW : change.doc.data();
+          const seen = state.rows.get(change.doc.id);
+          if (seen && seen.version === row.version && sameMatch(seen.claim, row.claim)) return;
+          state.rows.set(change.doc.id, row);
+          changed.push({ id: change.doc.id, row });
+        });
+        if (changed.length > 0) onRows(changed);
+      }, onError);
+      let lastSaved = null;
+      const stopHead = onSnapshot(doc(firestore, ...path, id), (snapshot) => {
+        if (!snapshot.exists()) return;
+        const head = snapshot.data();
+        if (lastSaved !== null && head.lastUpdated !== lastSaved && head.savedBy !== uid) onRemoteSave(head);
+        lastSaved = head.lastUpdated;
+      }, onError);
+      return () => {
+        stopRows();
+        stopHead();
+      };
+    }
+  };
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// The local backend also keeps the alias memory, which outlives any one session
+const createIndexedDbStorage = (databaseName = 'namecleaner') => {
+  let connection = null;
+  const objectStore = async (name, mode) => {
+    if (!connection) {
+      const request = indexedDB.open(databaseName, 2);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        ['sessions', 'aliases'].forEach(store => {
+          if (!database.objectStoreNames.contains(store)) database.createObjectStore(store);
+        });
+      };
+      connection = promisifyRequest(request);
+    }
+    const database = await connection;
+    return database.transaction(name, mode).objectStore(name);
+  };
+  const sessions = (mode) => objectStore('sessions', mode);
+  return {
+    kind: 'local',
+    label: 'This browser',
+    newId: () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    list: async () => {
+      const store = await sessions('readonly');
+      const [ids, documents] = await Promise.all([
+        promisifyRequest(store.getAllKeys()),
+        promisifyRequest(store.getAll())
+      ]);
+      return ids.map((id, i) => summarizeSession(id, documents[i]));
+    },
+    load: async (id) => (await promisifyRequest((await sessions('readonly')).get(id))) || null,
+    save: async (id, document) => {
+      await promisifyRequest((await sessions('readwrite')).put(document, id));
+    },
+    rename: async (id, name) => {
+      const store = await sessions('readwrite');
+      const document = await promisifyRequest(store.get(id));
+      if (document) await promisifyRequest(store.put({ ...document, name }, id));
+    },
+    remove: async (id) => {
+      await promisifyRequest((await sessions('readwrite')).delete(id));
+    },
+    listAliases: async () => promisifyRequest((await objectStore('aliases', 'readonly')).getAll()),
+    putAliases: async (entries) => {
+      const store = await objectStore('aliases', 'readwrite');
+      await Promise.all(entries.map(entry => promisifyRequest(store.put(entry, entry.key))));
+    },
+    removeAliases: async (keys) => {
+      const store = await objectStore('aliases', 'readwrite');
+      await Promise.all(keys.map(key => promisifyRequest(store.delete(key))));
+    }
+  };
+};
+
+// Session files wrap the same document format the backends store
+const SESSION_FILE_FORMAT = 'namecleaner-session';
+
+const toSessionFile = (document) =>
+  JSON.stringify({ format: SESSION_FILE_FORMAT, version: 1, session: document }, null, 2);
+
+const parseSessionFile = (text) => {
+  const parsed = JSON.parse(text);
+  if (!parsed || parsed.format !== SESSION_FILE_FORMAT || !parsed.session) {
+    throw new Error('Not a NameCleaner session file');
+  }
+  return parsed.session;
+};
+
+// --- Utility: Export Formats ---
+const toJsonRecords = (headers, rows) =>
+  JSON.stringify(rows.map(cells => Object.fromEntries(headers.map((h, i) => [h, cells[i]]))), null, 2);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Minimal zip writer (stored, uncompressed) - enough for an XLSX container
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)]);
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const toXlsx = (headers, rows) => {
+  const sheetRows = [headers, ...rows].map((cells, r) => {
+    const xmlCells = cells.map((cell, c) => {
+      const ref = `${columnLetter(c)}${r + 1}`;
+      if (typeof cell === 'number') return `<c r="${ref}"><v>${cell}</v></c>`;
+      if (cell === null || cell === undefined || cell === '') return '';
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${xmlCells}</row>`;
+  }).join('');
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Matches" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>'
+    }
+  ]);
+};
+
+const EXPORT_FORMATS = {
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    build: (headers, rows) => new Blob(['\uFEFF' + toDelimited(headers, rows, ',')], { type: 'text/csv;charset=utf-8' })
+  },
+  tsv: {
+    label: 'TSV',
+    extension: 'tsv',
+    build: (headers, rows) => new Blob(['\uFEFF' + toDelimited(headers, rows, '\t')], { type: 'text/tab-separated-values;charset=utf-8' })
+  },
+  xlsx: {
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    build: (headers, rows) => new Blob([toXlsx(headers, rows)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+  },
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    build: (headers, rows) => new Blob([toJsonRecords(headers, rows)], { type: 'application/json' })
+  }
+};
+
+// Every original column in source order, with the match columns and the chosen
+// reference attributes appended
+const buildExportTable = (rawSource, rawInputs, matches, reviews, referenceById, attributes = []) => {
+  const textById = new Map(rawInputs.map(item => [item.id, item.text]));
+  // Who and when come from the review if there is one, else from the match
+  const reviewColumns = (id) => {
+    const match = matches[id];
+    const review = reviews[id];
+    const stamp = review || match || {};
+    return [ROW_STATUSES[rowStatus(match, review)].label, review ? review.note : '', stamp.by || '', stamp.at || ''];
+  };
+  const matchColumns = (id) => {
+    const match = matches[id];
+    if (!match) return ['', '', ...attributes.map(() => ''), '', '', ...reviewColumns(id)];
+    const reference = referenceById.get(match.refId) || createReference(match.refId);
+    const score = match.score !== null ? match.score : getSimilarityScore(textById.get(id) || '', reference.name);
+    return [
+      reference.name,
+      reference.id,
+      ...attributes.map(attribute => reference.attributes[attribute] || ''),
+      Math.round(score * 1000) / 1000,
+      match.method,
+      ...reviewColumns(id)
+    ];
+  };
+  const matchHeaders = [
+    'Matched Clean Name', 'Reference ID', ...attributes, 'Match Score', 'Match Method',
+    'Status', 'Note', 'Set By', 'Set At'
+  ];
+
+  if (rawSource && rawSource.rows && rawSource.rows.length > 0) {
+    return {
+      headers: [...rawSource.headers, ...matchHeaders],
+      rows: rawSource.rows.map((cells, i) => [...cells, ...matchColumns(i)])
+    };
+  }
+  // Sessions saved before the original rows were kept only have the name column
+  return {
+    headers: ['Raw Input', ...matchHeaders],
+    rows: rawInputs.map(item => [item.text, ...matchColumns(item.id)])
+  };
+};
+
+// --- Utility: Quality Report ---
+// Summary figures for data-quality sign-off. Scores and name usage only count confirmed
+// matches; suggestions are reported by method but not as mapped rows.
+const SCORE_BUCKETS = 10;
+const DEFAULT_LOW_SCORE = 0.6;
+
+const buildQualityReport = ({ rawInputs, matches, reviews, references }, { lowScore = DEFAULT_LOW_SCORE, top = 25 } = {}) => {
+  const byMethod = { auto: 0, manual: 0, memory: 0, suggested: 0, unmatched: 0 };
+  const byStatus = Object.fromEntries(Object.keys(ROW_STATUSES).map(status => [status, 0]));
+  const buckets = Array.from({ length: SCORE_BUCKETS }, () => 0);
+  let unscored = 0;
+  const rowsByRef = new Map();
+  const lowSimilarity = [];
+  const referenceById = new Map(references.map(reference => [reference.id, reference]));
+
+  rawInputs.forEach(item => {
+    const match = matches[item.id];
+    byStatus[rowStatus(match, reviews[item.id])]++;
+    if (!match) {
+      byMethod.unmatched++;
+      return;
+    }
+    byMethod[match.method]++;
+    if (!isConfirmedMatch(match)) return;
+    rowsByRef.set(match.refId, (rowsByRef.get(match.refId) || 0) + 1);
+    if (match.score === null) {
+      unscored++;
+      return;
+    }
+    buckets[Math.min(SCORE_BUCKETS - 1, Math.floor(match.score * SCORE_BUCKETS))]++;
+    if (match.score < lowScore) {
+      const reference = referenceById.get(match.refId);
+      lowSimilarity.push({
+        id: item.id,
+        text: item.text,
+        refId: match.refId,
+        name: reference ? reference.name : match.refId,
+        score: match.score,
+        method: match.method
+      });
+    }
+  });
+
+  const nameOf = (refId) => (referenceById.has(refId) ? referenceById.get(refId).name : refId);
+  return {
+    generatedAt: new Date().toISOString(),
+    lowScore,
+    total: rawInputs.length,
+    byMethod,
+    byStatus,
+    scoreBuckets: buckets.map((count, i) => ({ from: i / SCORE_BUCKETS, to: (i + 1) / SCORE_BUCKETS, count })),
+    unscored,
+    topNames: [...rowsByRef]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([refId, rows]) => ({ refId, name: nameOf(refId), rows })),
+    lowSimilarity: lowSimilarity.sort((a, b) => a.score - b.score),
+    unusedNames: references
+      .filter(reference => !rowsByRef.has(reference.id))
+      .map(reference => ({ refId: reference.id, name: reference.name }))
+  };
+};
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// The report as titled tables, shared by both export formats
+const qualityReportSections = (report) => [
+  {
+    title: 'Summary',
+    headers: ['Measure', 'Rows'],
+    rows: [
+      ['Total inputs', report.total],
+      ...Object.entries(report.byStatus).map(([status, count]) => [ROW_STATUSES[status].label, count])
+    ]
+  },
+  {
+    title: 'Match methods',
+    headers: ['Method', 'Rows'],
+    rows: Object.entries(report.byMethod).map(([method, count]) => [MATCH_METHODS[method] ? MATCH_METHODS[method].label : 'Unmatched', count])
+  },
+  {
+    title: 'Score distribution (confirmed matches)',
+    headers: ['Score range', 'Rows'],
+    rows: [
+      ...report.scoreBuckets.map(bucket => [`${formatPercent(bucket.from)}-${formatPercent(bucket.to)}`, bucket.count]),
+      ...(report.unscored > 0 ? [['Unscored', report.unscored]] : [])
+    ]
+  },
+  {
+    title: 'Top clean names',
+    headers: ['Clean Name', 'Reference ID', 'Rows'],
+    rows: report.topNames.map(entry => [entry.name, entry.refId, entry.rows])
+  },
+  {
+    title: `Low similarity matches (below ${formatPercent(report.lowScore)})`,
+    headers: ['Raw Input', 'Clean Name', 'Reference ID', 'Match Score', 'Match Method'],
+    rows: report.lowSimilarity.map(entry => [entry.text, entry.name, entry.refId, Math.round(entry.score * 1000) / 1000, entry.method])
+  },
+  {
+    title: 'Unused clean names',
+    headers: ['Clean Name', 'Reference ID'],
+    rows: report.unusedNames.map(entry => [entry.name, entry.refId])
+  }
+];
+
+const toReportHtml = (title, generatedAt, sections) => {
+  const table = ({ headers, rows }) => '<table><thead><tr>'
+    + headers.map(header => `<th>${escapeXml(header)}</th>`).join('')
+    + '</tr></thead><tbody>'
+    + (rows.length === 0
+      ? `<tr><td colspan="${headers.length}" class="empty">None</td></tr>`
+      : rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`).join(''))
+    + '</tbody></table>';
+  return '<!DOCTYPE html><html><head><meta charset="utf-8">'
+    + `<title>${escapeXml(title)}</title>`
+    + '<style>body{font-family:system-ui,sans-serif;color:#1e293b;margin:2rem}'
+    + 'table{border-collapse:collapse;margin-bottom:2rem}th,td{border:1px solid #cbd5e1;padding:4px 8px;text-align:left;font-size:13px}'
+    + 'th{background:#f1f5f9}.empty{color:#94a3b8;font-style:italic}</style></head><body>'
+    + `<h1>${escapeXml(title)}</h1><p>Generated ${escapeXml(new Date(generatedAt).toLocaleString())}</p>`
+    + sections.map(section => `<h2>${escapeXml(section.title)}</h2>${table(section)}`).join('')
+    + '</body></html>';
+};
+
+const REPORT_FORMATS = {
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    // One block per section, separated by a blank line
+    build: (title, generatedAt, sections) => new Blob(['\uFEFF' + [
+      toDelimited([title], [[`Generated ${generatedAt}`]], ','),
+      ...sections.map(section => toDelimited([section.title], [section.headers, ...section.rows], ','))
+    ].join('\r\n\r\n')], { type: 'text/csv;charset=utf-8' })
+  },
+  html: {
+    label: 'HTML',
+    extension: 'html',
+    build: (title, generatedAt, sections) => new Blob([toReportHtml(title, generatedAt, sections)], { type: 'text/html;charset=utf-8' })
+  }
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- Component: Normalization Settings ---
+const NORMALIZATION_TOGGLES = [
+  ['stripPunctuation', 'Strip punctuation'],
+  ['foldAccents', 'Fold accents'],
+  ['collapseWhitespace', 'Collapse whitespace'],
+  ['expandAbbreviations', 'Expand abbreviations'],
+  ['dropStopwords', 'Drop stopwords']
+];
+
+const NormalizationSettings = ({ rules, onChange, normalize }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newFrom, setNewFrom] = useState('');
+  const [newTo, setNewTo] = useState('');
+  const [sample, setSample] = useState("St. Mary's Hosp.");
+
+  const update = (patch) => onChange({ ...rules, ...patch });
+
+  const addAbbreviation = () => {
+    const from = newFrom.trim().toLowerCase();
+    const to = newTo.trim();
+    if (!from || !to) return;
+    update({ abbreviations: [...rules.abbreviations.filter(a => a.from !== from), { from, to }] });
+    setNewFrom('');
+    setNewTo('');
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow-sm border border-slate-200">
+      <button onClick={() => setIsOpen(prev => !prev)} className="w-full flex items-center justify-between">
+        <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+          <SlidersHorizontal size={18} className="text-slate-500" /> Normalization
+        </h2>
+        <span className="text-[10px] font-bold text-slate-400 uppercase">{isOpen ? 'Hide' : 'Edit rules'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            {NORMALIZATION_TOGGLES.map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2 text-xs text-slate-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={rules[key]}
+                  onChange={(e) => update({ [key]: e.target.checked })}
+                  className="accent-blue-600"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Abbreviations</label>
+            <div className="max-h-36 overflow-y-auto border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {rules.abbreviations.map(({ from, to }) => (
+                <div key={from} className="flex items-center justify-between px-3 py-1.5 text-xs">
+                  <span className="text-slate-700"><span className="font-bold">{from}</span> &rarr; {to}</span>
+                  <button
+                    onClick={() => update({ abbreviations: rules.abbreviations.filter(a => a.from !== from) })}
+                    className="text-slate-300 hover:text-red-500"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                placeholder="Abbr."
+                value={newFrom}
+                onChange={(e) => setNewFrom(e.target.value)}
+                className="w-20 border border-slate-200 rounded-lg p-1.5 text-xs outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="text"
+                placeholder="Expansion"
+                value={newTo}
+                onChange={(e) => setNewTo(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addAbbreviation()}
+                className="flex-1 border border-slate-200 rounded-lg p-1.5 text-xs outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button onClick={addAbbreviation} className="p-1.5 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200">
+                <Plus size={16} />
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Stopwords (comma separated)</label>
+            <input
+              type="text"
+              value={rules.stopwords.join(', ')}
+              onChange={(e) => update({ stopwords: e.target.value.split(',').map(w => w.trim().toLowerCase()).filter(Boolean) })}
+              disabled={!rules.dropStopwords}
+              className="w-full border border-slate-200 rounded-lg p-1.5 text-xs outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-50 disabled:text-slate-400"
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Try it</label>
+            <input
+              type="text"
+              value={sample}
+              onChange={(e) => setSample(e.target.value)}
+              className="w-full border border-slate-200 rounded-lg p-1.5 text-xs outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-slate-500 mt-1 font-mono">&rarr; {normalize(sample)}</p>
+          </div>
+
+          <button
+            onClick={() => onChange(DEFAULT_NORMALIZATION)}
+            className="text-[10px] font-bold text-slate-400 hover:text-slate-600 uppercase"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Component: Match Constraints ---
+const CONSTRAINT_MODES = {
+  same: 'Must match',
+  bonus: 'Bonus if equal'
+};
+
+const DEFAULT_CONSTRAINT_BONUS = 0.05;
+
+// "State: MA vs IL" for each rule a match breaks
+const describeViolations = (violations, fields, attributes) => violations
+  .map(rule => `${rule.field}: ${fields[rule.field]} vs ${attributes[rule.attribute]}`)
+  .join('; ');
+
+const ConstraintSettings = ({ constraints, onChange, fields, attributes }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const canAdd = fields.length > 0 && attributes.length > 0;
+
+  const updateRule = (index, patch) =>
+    onChange(constraints.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)));
+
+  // Pairs the first raw field with a same-named attribute when there is one
+  const addRule = () => {
+    const field = fields.find(f => attributes.some(a => a.toLowerCase() === f.toLowerCase())) || fields[0];
+    const attribute = attributes.find(a => a.toLowerCase() === field.toLowerCase()) || attributes[0];
+    onChange([...constraints, { field, attribute, mode: 'same', bonus: DEFAULT_CONSTRAINT_BONUS }]);
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow-sm border border-slate-200">
+      <button onClick={() => setIsOpen(prev => !prev)} className="w-full flex items-center justify-between">
+        <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+          <MapPin size={18} className="text-slate-500" /> Constraints
+          {constraints.length > 0 && <span className="text-xs font-normal text-slate-400">({constraints.length})</span>}
+        </h2>
+        <span className="text-[10px] font-bold text-slate-400 uppercase">{isOpen ? 'Hide' : 'Edit rules'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-3">
+          <p className="text-xs text-slate-500">
+            Compare a raw column with a reference attribute. Blank values on either side are ignored.
+          </p>
+          {constraints.map((rule, index) => (
+            <div key={index} className="border border-slate-200 rounded-lg p-2 space-y-2">
+              <div className="flex items-center gap-1 text-xs">
+                <select
+                  value={rule.field}
+                  onChange={(e) => updateRule(index, { field: e.target.value })}
+                  className="flex-1 min-w-0 border border-slate-200 rounded p-1 outline-none"
+                >
+                  {!fields.includes(rule.field) && <option value={rule.field}>{rule.field} (missing)</option>}
+                  {fields.map(field => <option key={field} value={field}>{field}</option>)}
+                </select>
+                <span className="text-slate-400">=</span>
+                <select
+                  value={rule.attribute}
+                  onChange={(e) => updateRule(index, { attribute: e.target.value })}
+                  className="flex-1 min-w-0 border border-slate-200 rounded p-1 outline-none"
+                >
+                  {!attributes.includes(rule.attribute) && <option value={rule.attribute}>{rule.attribute} (missing)</option>}
+                  {attributes.map(attribute => <option key={attribute} value={attribute}>{attribute}</option>)}
+                </select>
+                <button
+                  onClick={() => onChange(constraints.filter((_, i) => i !== index))}
+                  className="p-1 text-slate-300 hover:text-red-500"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+              <div className="flex items-center gap-2 text-xs">
+                <select
+                  value={rule.mode}
+                  onChange={(e) => updateRule(index, { mode: e.target.value })}
+                  className="border border-slate-200 rounded p-1 outline-none"
+                >
+                  {Object.entries(CONSTRAINT_MODES).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                </select>
+                {rule.mode === 'bonus' && (
+                  <label className="flex items-center gap-1 text-slate-500">
+                    +
+                    <input
+                      type="number"
+                      min="1"
+                      max="25"
+                      value={Math.round(rule.bonus * 100)}
+                      onChange={(e) => updateRule(index, { bonus: Math.min(25, Math.max(1, Number(e.target.value) || 1)) / 100 })}
+                      className="w-12 border border-slate-200 rounded p-1 outline-none"
+                    />
+                    %
+                  </label>
+                )}
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={addRule}
+            disabled={!canAdd}
+            className="w-full flex items-center justify-center gap-1 py-1.5 bg-slate-100 text-slate-700 rounded-lg text-xs font-medium hover:bg-slate-200 disabled:opacity-50"
+          >
+            <Plus size={14} /> Add rule
+          </button>
+          {!canAdd && (
+            <p className="text-[10px] text-slate-400">
+              Carry a column through when uploading raw data and import reference attributes to add rules.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Component: Column Picker ---
+const ColumnPicker = ({ pending, onReparse, onChange, onCancel, onConfirm }) => {
+  const isRaw = pending.target === 'raw';
+  const previewRows = pending.rows.slice(0, 5);
+
+  const togglePassthrough = (col) => {
+    const next = pending.passthroughColumns.includes(col)
+      ? pending.passthroughColumns.filter(c => c !== col)
+      : [...pending.passthroughColumns, col].sort((a, b) => a - b);
+    onChange({ passthroughColumns: next });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <div>
+            <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+              <Columns size={18} className="text-blue-500" /> Choose Columns
+            </h2>
+            <p className="text-xs text-slate-500 mt-1">
+              {pending.fileName} &middot; {pending.rows.length} rows &middot; {isRaw ? 'Raw inputs' : 'Clean reference list'}
+            </p>
+          </div>
+          <button onClick={onCancel} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="text-xs font-medium text-slate-500 flex items-center gap-2">
+              Delimiter
+              <select
+                value={pending.delimiter}
+                onChange={(e) => onReparse({ delimiter: e.target.value })}
+                className="border border-slate-200 rounded-lg p-1.5 text-xs text-slate-700"
+              >
+                {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+              </select>
+            </label>
+            <label className="text-xs font-medium text-slate-500 flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={pending.hasHeader}
+                onChange={(e) => onReparse({ hasHeader: e.target.checked })}
+                className="accent-blue-600"
+              />
+              First row is a header
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Name column</label>
+            <select
+              value={pending.nameColumn}
+              onChange={(e) => onChange({ nameColumn: parseInt(e.target.value, 10) })}
+              className="w-full border border-slate-200 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {pending.headers.map((h, i) => <option key={h} value={i}>{h}</option>)}
+            </select>
+          </div>
+
+          {!isRaw && pending.headers.length > 1 && (
+            <div className="grid grid-cols-2 gap-3">
+              {[['idColumn', 'ID column'], ['aliasColumn', 'Aliases column (separated by ; or |)']].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-xs font-medium text-slate-500 mb-1">{label}</label>
+                  <select
+                    value={pending[field]}
+                    onChange={(e) => onChange({ [field]: parseInt(e.target.value, 10) })}
+                    className="w-full border border-slate-200 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                  >
+                    <option value={-1}>None</option>
+                    {pending.headers.map((h, i) => i !== pending.nameColumn && <option key={h} value={i}>{h}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {pending.headers.length > 1 && (
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">{isRaw ? 'Passthrough fields' : 'Attributes'}</label>
+              <div className="flex flex-wrap gap-2">
+                {pending.headers.map((h, i) => i !== pending.nameColumn && (isRaw || (i !== pending.idColumn && i !== pending.aliasColumn)) && (
+                  <label
+                    key={h}
+                    className={`flex items-center gap-1.5 px-3 py-1 rounded-full border text-xs cursor-pointer transition-colors ${pending.passthroughColumns.includes(i) ? 'bg-blue-50 border-blue-200 text-blue-700' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={pending.passthroughColumns.includes(i)}
+                      onChange={() => togglePassthrough(i)}
+                      className="accent-blue-600"
+                    />
+                    {h}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="border border-slate-200 rounded-lg overflow-x-auto">
+            <table className="w-full text-left border-collapse text-xs">
+              <thead className="bg-slate-50">
+                <tr>
+                  {pending.headers.map((h, i) => (
+                    <th
+                      key={h}
+                      className={`px-3 py-2 font-bold uppercase tracking-wider whitespace-nowrap ${i === pending.nameColumn ? 'text-blue-600' : 'text-slate-500'}`}
+                    >
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {previewRows.map((cells, r) => (
+                  <tr key={r}>
+                    {cells.map((cell, i) => (
+                      <td
+                        key={i}
+                        className={`px-3 py-2 whitespace-nowrap ${i === pending.nameColumn ? 'bg-blue-50/60 font-medium text-slate-800' : 'text-slate-600'}`}
+                      >
+                        {cell}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 p-5 border-t border-slate-100">
+          <button onClick={onCancel} className="px-4 py-2 text-sm font-semibold text-slate-600 rounded-lg hover:bg-slate-100">
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={pending.rows.length === 0}
+            className="px-4 py-2 text-sm font-semibold bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            Import {pending.rows.length} Rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Component: History Panel ---
+const describeMatch = (match, referenceById) => {
+  if (!match) return 'Unmatched';
+  const reference = referenceById.get(match.refId);
+  return `${reference ? reference.name : match.refId} (${MATCH_METHODS[match.method].label})`;
+};
+
+const describeReview = (review) => {
+  if (!review) return 'Not reviewed';
+  const label = review.status ? ROW_STATUSES[review.status].label : 'Not reviewed';
+  return review.note ? `${label}, note "${review.note}"` : label;
+};
+
+const HistoryPanel = ({ past, future, rawById, referenceById, onUndo, onRedo }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  // Newest first; redo-able steps are shown greyed out above the current position
+  const steps = [
+    ...future.map(entry => ({ entry, isUndone: true })).reverse(),
+    ...[...past].reverse().map(entry => ({ entry, isUndone: false }))
+  ];
+
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow-sm border border-slate-200">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+          <History size={18} className="text-slate-500" /> History
+        </h2>
+        <div className="flex gap-1">
+          <button
+            onClick={onUndo}
+            disabled={past.length === 0}
+            title="Undo (Ctrl+Z)"
+            className="p-1.5 text-slate-600 rounded-lg hover:bg-slate-100 disabled:opacity-30"
+          >
+            <Undo2 size={16} />
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={future.length === 0}
+            title="Redo (Ctrl+Shift+Z)"
+            className="p-1.5 text-slate-600 rounded-lg hover:bg-slate-100 disabled:opacity-30"
+          >
+            <Redo2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      {steps.length === 0 ? (
+        <p className="text-xs text-slate-400 text-center py-2">No changes yet</p>
+      ) : (
+        <div className="max-h-60 overflow-y-auto space-y-1">
+          {steps.map(({ entry, isUndone }) => {
+            const reviewChanges = entry.reviews || {};
+            const changedIds = [...new Set([...Object.keys(entry.changes), ...Object.keys(reviewChanges)])];
+            const isExpanded = expandedId === entry.id;
+            return (
+              <div key={entry.id} className={`rounded-lg border border-slate-100 ${isUndone ? 'opacity-40' : ''}`}>
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                  className="w-full text-left px-3 py-2 hover:bg-slate-50 rounded-lg"
+                >
+                  <div className="text-xs font-semibold text-slate-700">{entry.label}</div>
+                  <div className="text-[10px] text-slate-400">
+                    {new Date(entry.at).toLocaleTimeString()} &middot; {changedIds.length} row{changedIds.length === 1 ? '' : 's'}
+                    {entry.references && ` · ${entry.references.after.length - entry.references.before.length >= 0 ? '+' : ''}${entry.references.after.length - entry.references.before.length} clean names`}
+                    {isUndone && ' · undone'}
+                  </div>
+                </button>
+                {isExpanded && changedIds.length > 0 && (
+                  <ul className="px-3 pb-2 space-y-1">
+                    {changedIds.slice(0, 20).map(id => (
+                      <li key={id} className="text-[10px] text-slate-500">
+                        <span className="font-bold text-slate-600">{rawById.has(Number(id)) ? rawById.get(Number(id)).text : `Row ${id}`}</span>
+                        {entry.changes[id] && (
+                          <>{': '}{describeMatch(entry.changes[id].before, referenceById)} &rarr; {describeMatch(entry.changes[id].after, referenceById)}</>
+                        )}
+                        {reviewChanges[id] && (
+                          <>{': '}{describeReview(reviewChanges[id].before)} &rarr; {describeReview(reviewChanges[id].after)}</>
+                        )}
+                      </li>
+                    ))}
+                    {changedIds.length > 20 && (
+                      <li className="text-[10px] text-slate-400 italic">and {changedIds.length - 20} more</li>
+                    )}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Component: Session Manager ---
+const BACKEND_ICONS = { local: HardDrive, cloud: Cloud, shared: Users };
+
+const BackendIcon = ({ kind, size }) => {
+  const Icon = BACKEND_ICONS[kind] || HardDrive;
+  return <Icon size={size} />;
+};
+
+const SessionRow = ({ session, isCurrent, otherBackends, onLoad, onRename, onDuplicate, onCopy, onExportFile, onDelete }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState(session.name);
+  const progress = session.total > 0 ? (session.matched / session.total) * 100 : 0;
+
+  const submitRename = () => {
+    const name = draftName.trim();
+    if (name && name !== session.name) onRename(session.id, name);
+    setIsRenaming(false);
+  };
+
+  return (
+    <div className={`p-3 rounded-xl border ${isCurrent ? 'border-blue-200 bg-blue-50/40' : 'border-slate-200'}`}>
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex-1 min-w-0">
+          {isRenaming ? (
+            <input
+              type="text"
+              value={draftName}
+              autoFocus
+              onChange={(e) => setDraftName(e.target.value)}
+              onBlur={submitRename}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitRename();
+                if (e.key === 'Escape') setIsRenaming(false);
+              }}
+              className="w-full border border-slate-200 rounded-md p-1 text-sm outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          ) : (
+            <p className="text-sm font-semibold text-slate-700 truncate">
+              {session.name}
+              {isCurrent && <span className="ml-2 text-[10px] font-bold text-blue-600 uppercase">Open</span>}
+              {session.backupOf && <span className="ml-2 text-[10px] font-bold text-slate-400 uppercase">Autosaved copy of a {session.backupOf} session</span>}
+            </p>
+          )}
+          <p className="text-[10px] text-slate-400">
+            {session.lastUpdated ? `Updated ${new Date(session.lastUpdated).toLocaleString()}` : 'Never saved'}
+            {' · '}{session.matched}/{session.total} matched
+          </p>
+        </div>
+        <div className="flex items-center gap-1">
+          <button onClick={() => onLoad(session.id)} className="px-3 py-1 text-xs font-semibold text-blue-600 rounded-md hover:bg-blue-100">
+            Load
+          </button>
+          <button onClick={() => { setDraftName(session.name); setIsRenaming(true); }} title="Rename" className="p-1.5 text-slate-400 hover:text-slate-700 rounded-md hover:bg-slate-100">
+            <Pencil size={14} />
+          </button>
+          <button onClick={() => onDuplicate(session.id)} title="Duplicate" className="p-1.5 text-slate-400 hover:text-slate-700 rounded-md hover:bg-slate-100">
+            <Copy size={14} />
+          </button>
+          {otherBackends.map(backend => (
+            <button key={backend.kind} onClick={() => onCopy(session.id, backend.kind)} title={`Copy to ${backend.label}`} className="p-1.5 text-slate-400 hover:text-slate-700 rounded-md hover:bg-slate-100">
+              <BackendIcon kind={backend.kind} size={14} />
+            </button>
+          ))}
+          <button onClick={() => onExportFile(session.id)} title="Download as JSON file" className="p-1.5 text-slate-400 hover:text-slate-700 rounded-md hover:bg-slate-100">
+            <FileJson size={14} />
+          </button>
+          <button onClick={() => onDelete(session)} title="Delete" className="p-1.5 text-slate-400 hover:text-red-600 rounded-md hover:bg-red-50">
+            <Trash2 size={14} />
+          </button>
+        </div>
+      </div>
+      <div className="w-full bg-slate-100 rounded-full h-1.5 mt-2">
+        <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${progress}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+const SessionManager = ({
+  backends,
+  activeKind,
+  sessions,
+  currentId,
+  isListing,
+  loadProgress,
+  onSwitchBackend,
+  onCreate,
+  onImportFile,
+  onLoad,
+  onRename,
+  onDuplicate,
+  onCopy,
+  onExportFile,
+  onDelete,
+  onClose
+}) => {
+  const [newName, setNewName] = useState('');
+  const otherBackends = backends.filter(b => b.kind !== activeKind);
+
+  const submitCreate = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onCreate(name);
+    setNewName('');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+            <FolderOpen size={18} className="text-blue-500" /> Sessions
+          </h2>
+          <div className="flex items-center gap-2">
+            <div className="flex bg-slate-100 p-1 rounded-lg">
+              {backends.map(backend => (
+                <button
+                  key={backend.kind}
+                  onClick={() => onSwitchBackend(backend.kind)}
+                  className={`flex items-center gap-1.5 px-3 py-1 text-xs font-semibold rounded-md transition-colors ${activeKind === backend.kind ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  <BackendIcon kind={backend.kind} size={12} />
+                  {backend.label}
+                </button>
+              ))}
+            </div>
+            <button onClick={onClose} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-5 border-b border-slate-100 flex gap-2">
+          <input
+            type="text"
+            placeholder="New session name..."
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submitCreate()}
+            className="flex-1 border border-slate-200 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+          <button
+            onClick={submitCreate}
+            disabled={!newName.trim()}
+            className="flex items-center gap-1 px-4 py-2 text-sm font-semibold bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Plus size={16} /> Create
+          </button>
+          <label className="flex items-center gap-1 px-3 py-2 text-sm font-semibold text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50 cursor-pointer" title="Import a session JSON file">
+            <FileJson size={16} /> Import
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) onImportFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+
+        {activeKind === 'shared' && (
+          <p className="px-5 pt-3 text-[10px] text-slate-400">
+            Everyone signed in to this app can open shared sessions. Matches, reviews and claims sync
+            live; save to share changes to the reference list and settings.
+          </p>
+        )}
+
+        {loadProgress && loadProgress.total > 0 && (
+          <div className="px-5 pt-4">
+            <p className="text-[10px] font-bold text-slate-400 uppercase mb-1">
+              Loading session &middot; {loadProgress.loaded} of {loadProgress.total} pages
+            </p>
+            <div className="w-full bg-slate-100 rounded-full h-1.5">
+              <div className="bg-blue-600 h-1.5 rounded-full transition-all" style={{ width: `${(loadProgress.loaded / loadProgress.total) * 100}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        <div className="p-5 overflow-y-auto space-y-2">
+          {isListing ? (
+            <div className="p-6 text-center text-slate-400"><Loader2 className="animate-spin mx-auto" size={20} /></div>
+          ) : sessions.length === 0 ? (
+            <p className="p-6 text-center text-xs text-slate-400">No saved sessions yet</p>
+          ) : (
+            sessions.map(session => (
+              <SessionRow
+                key={session.id}
+                session={session}
+                isCurrent={session.id === currentId}
+                otherBackends={otherBackends}
+                onLoad={onLoad}
+                onRename={onRename}
+                onDuplicate={onDuplicate}
+                onCopy={onCopy}
+                onExportFile={onExportFile}
+                onDelete={onDelete}
+              />
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Component: Alias Memory ---
+const AliasRow = ({ entry, onRename, onDelete }) => {
+  const [draftName, setDraftName] = useState(entry.name);
+
+  const submit = () => {
+    const name = draftName.trim();
+    if (name && name !== entry.name) onRename(entry.key, name);
+    else setDraftName(entry.name);
+  };
+
+  return (
+    <tr className="hover:bg-slate-50">
+      <td className="px-3 py-2 text-sm text-slate-700">
+        {entry.raw}
+        <p className="text-[10px] font-mono text-slate-400">{entry.key}</p>
+      </td>
+      <td className="px-3 py-2">
+        <input
+          type="text"
+          value={draftName}
+          onChange={(e) => setDraftName(e.target.value)}
+          onBlur={submit}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          className="w-full border border-transparent hover:border-slate-200 focus:border-blue-500 rounded-md p-1 text-sm outline-none"
+        />
+      </td>
+      <td className="px-3 py-2 text-xs text-slate-500 text-right">{entry.count}</td>
+      <td className="px-3 py-2 text-right">
+        <button onClick={() => onDelete(entry.key)} title="Forget" className="p-1.5 text-slate-400 hover:text-red-600 rounded-md hover:bg-red-50">
+          <Trash2 size={14} />
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+const AliasManager = ({ aliases, onRename, onDelete, onImport, onExport, onClose }) => {
+  const [filter, setFilter] = useState('');
+  const [limit, setLimit] = useState(200);
+  const entries = useMemo(() => {
+    const term = filter.trim().toLowerCase();
+    return Object.values(aliases)
+      .filter(entry => !term || entry.raw.toLowerCase().includes(term) || entry.name.toLowerCase().includes(term))
+      .sort((a, b) => a.raw.localeCompare(b.raw));
+  }, [aliases, filter]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+            <BookMarked size={18} className="text-purple-500" /> Alias Memory
+            <span className="text-xs font-normal text-slate-400">{Object.keys(aliases).length} remembered spellings</span>
+          </h2>
+          <button onClick={onClose} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-5 border-b border-slate-100 flex gap-2">
+          <input
+            type="text"
+            placeholder="Filter by raw text or clean name..."
+            value={filter}
+            onChange={(e) => { setFilter(e.target.value); setLimit(200); }}
+            className="flex-1 border border-slate-200 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+          <label className="flex items-center gap-1 px-3 py-2 text-sm font-semibold text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50 cursor-pointer">
+            <Upload size={16} /> Import
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <button
+            onClick={onExport}
+            disabled={entries.length === 0}
+            className="flex items-center gap-1 px-3 py-2 text-sm font-semibold text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50 disabled:opacity-50"
+          >
+            <Download size={16} /> Export
+          </button>
+        </div>
+
+        <div className="overflow-y-auto">
+          {entries.length === 0 ? (
+            <p className="p-8 text-center text-xs text-slate-400">
+              {filter ? 'No aliases match this filter' : 'Confirmed matches are remembered here automatically'}
+            </p>
+          ) : (
+            <table className="w-full text-left">
+              <thead className="bg-slate-50 text-[10px] font-bold text-slate-400 uppercase sticky top-0">
+                <tr>
+                  <th className="px-3 py-2">Raw Text</th>
+                  <th className="px-3 py-2">Clean Name</th>
+                  <th className="px-3 py-2 text-right">Confirmed</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {entries.slice(0, limit).map(entry => (
+                  <AliasRow key={`${entry.key}:${entry.name}`} entry={entry} onRename={onRename} onDelete={onDelete} />
+                ))}
+              </tbody>
+            </table>
+          )}
+          {entries.length > limit && (
+            <button onClick={() => setLimit(prev => prev + 200)} className="w-full p-3 text-xs font-semibold text-blue-600 hover:bg-blue-50">
+              Show more ({entries.length - limit} remaining)
+            </button>
+          )}
+        </div>
+
+        <p className="p-4 border-t border-slate-100 text-[10px] text-slate-400">
+          Stored in this browser. Export the table to carry it to another machine.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// --- Component: Reference List Editor ---
+const ReferenceNameRow = ({ reference, usage, isSelected, referenceById, onToggle, onRename, onDelete }) => {
+  const [mode, setMode] = useState(null); // null | 'rename' | 'delete'
+  const [draft, setDraft] = useState(reference.name);
+  const [reassignTo, setReassignTo] = useState('');
+  const canReassign = reassignTo === '' || (reassignTo !== reference.id && referenceById.has(reassignTo));
+  const location = describeLocation(reference);
+
+  const submitRename = () => {
+    const next = draft.trim();
+    if (next && next !== reference.name) onRename(reference.id, next);
+    setMode(null);
+  };
+
+  return (
+    <div className={`px-3 py-2 rounded-lg ${isSelected ? 'bg-blue-50' : 'hover:bg-slate-50'}`}>
+      <div className="flex items-center gap-3">
+        <input type="checkbox" checked={isSelected} onChange={() => onToggle(reference.id)} className="accent-blue-600" />
+        {mode === 'rename' ? (
+          <input
+            type="text"
+            value={draft}
+            autoFocus
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={submitRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') submitRename();
+              if (e.key === 'Escape') setMode(null);
+            }}
+            className="flex-1 border border-slate-200 rounded-md p-1 text-sm outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        ) : (
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-slate-700 truncate">{reference.name}</p>
+            <p className="text-[10px] text-slate-400 truncate">
+              {reference.id !== reference.name && <span className="font-mono">{reference.id}</span>}
+              {reference.id !== reference.name && location && ' · '}
+              {location}
+              {reference.aliases.length > 0 && ` · aka ${reference.aliases.join(', ')}`}
+            </p>
+          </div>
+        )}
+        <span className="text-[10px] font-bold text-slate-400 uppercase whitespace-nowrap">{usage} rows</span>
+        <button onClick={() => { setDraft(reference.name); setMode('rename'); }} title="Rename" className="p-1.5 text-slate-400 hover:text-slate-700 rounded-md hover:bg-slate-100">
+          <Pencil size={14} />
+        </button>
+        <button onClick={() => setMode(mode === 'delete' ? null : 'delete')} title="Delete" className="p-1.5 text-slate-400 hover:text-red-600 rounded-md hover:bg-red-50">
+          <Trash2 size={14} />
+        </button>
+      </div>
+      {mode === 'delete' && (
+        <div className="flex items-center gap-2 mt-2 ml-7">
+          <span className="text-xs text-slate-500 whitespace-nowrap">
+            {usage > 0 ? `Reassign ${usage} rows to` : 'Delete this name'}
+          </span>
+          {usage > 0 && (
+            <input
+              type="text"
+              list="reference-ids"
+              placeholder="Reference ID, or blank to unmatch them"
+              value={reassignTo}
+              onChange={(e) => setReassignTo(e.target.value)}
+              className={`flex-1 border rounded-md p-1 text-xs outline-none focus:ring-2 focus:ring-blue-500 ${canReassign ? 'border-slate-200' : 'border-red-300'}`}
+            />
+          )}
+          <button
+            onClick={() => onDelete(reference.id, reassignTo || null)}
+            disabled={!canReassign}
+            className="px-3 py-1 text-xs font-semibold bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ReferenceListEditor = ({ references, referenceById, usage, onRename, onDelete, onMerge, onFindDuplicates, onClose }) => {
+  const [tab, setTab] = useState('names'); // names | duplicates
+  const [filter, setFilter] = useState('');
+  const [limit, setLimit] = useState(200);
+  const [selected, setSelected] = useState([]); // Reference ids
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [cutoff, setCutoff] = useState(0.85);
+  const [pairs, setPairs] = useState(null);
+
+  const visible = useMemo(() => {
+    const term = filter.trim().toLowerCase();
+    return references
+      .filter(reference => !term || referenceTerms(reference).some(t => t.toLowerCase().includes(term)) || reference.id.toLowerCase().includes(term))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [references, filter]);
+
+  // Selections and the report refer to references that may have just been edited away
+  useEffect(() => {
+    setSelected(prev => prev.filter(id => referenceById.has(id)));
+  }, [referenceById]);
+
+  useEffect(() => {
+    if (tab !== 'duplicates') return undefined;
+    let isCurrent = true;
+    setPairs(null);
+    const timer = setTimeout(() => {
+      onFindDuplicates(cutoff)
+        .then(result => { if (isCurrent) setPairs(result || []); })
+        .catch(err => console.error("Error finding duplicate clean names:", err));
+    }, 200);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [tab, cutoff, references]);
+
+  const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+  const target = selected.includes(mergeTarget) ? mergeTarget : selected[0];
+  const describe = (id) => {
+    const reference = referenceById.get(id);
+    if (!reference) return id;
+    const location = describeLocation(reference);
+    return location ? `${reference.name} (${location})` : reference.name;
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+            <ListChecks size={18} className="text-green-500" /> Reference List
+            <span className="text-xs font-normal text-slate-400">{references.length} clean names</span>
+          </h2>
+          <div className="flex items-center gap-2">
+            <div className="flex bg-slate-100 p-1 rounded-lg">
+              {[['names', 'Names'], ['duplicates', 'Possible Duplicates']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setTab(key)}
+                  className={`px-3 py-1 text-xs font-semibold rounded-md transition-colors ${tab === key ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button onClick={onClose} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <datalist id="reference-ids">
+          {references.map(reference => <option key={reference.id} value={reference.id} label={describe(reference.id)} />)}
+        </datalist>
+
+        {tab === 'names' ? (
+          <>
+            <div className="p-5 border-b border-slate-100 space-y-3">
+              <input
+                type="text"
+                placeholder="Filter by name, alias or ID..."
+                value={filter}
+                onChange={(e) => { setFilter(e.target.value); setLimit(200); }}
+                className="w-full border border-slate-200 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+              />
+              {selected.length > 1 && (
+                <div className="flex items-center gap-2 p-2 bg-blue-50 rounded-lg">
+                  <span className="text-xs font-semibold text-blue-700 whitespace-nowrap">Merge {selected.length} names into</span>
+                  <select
+                    value={target}
+                    onChange={(e) => setMergeTarget(e.target.value)}
+                    className="flex-1 min-w-0 border border-blue-200 rounded-md p-1 text-xs bg-white outline-none"
+                  >
+                    {selected.map(id => <option key={id} value={id}>{describe(id)}</option>)}
+                  </select>
+                  <button
+                    onClick={() => { onMerge(selected, target); setSelected([]); }}
+                    className="px-3 py-1 text-xs font-semibold bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    Merge
+                  </button>
+                  <button onClick={() => setSelected([])} className="p-1 text-blue-400 hover:text-blue-700">
+                    <X size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="p-3 overflow-y-auto">
+              {visible.length === 0 ? (
+                <p className="p-6 text-center text-xs text-slate-400">No clean names found</p>
+              ) : (
+                visible.slice(0, limit).map(reference => (
+                  <ReferenceNameRow
+                    key={reference.id}
+                    reference={reference}
+                    usage={usage.get(reference.id) || 0}
+                    isSelected={selected.includes(reference.id)}
+                    referenceById={referenceById}
+                    onToggle={toggle}
+                    onRename={onRename}
+                    onDelete={onDelete}
+                  />
+                ))
+              )}
+              {visible.length > limit && (
+                <button onClick={() => setLimit(prev => prev + 200)} className="w-full p-3 text-xs font-semibold text-blue-600 hover:bg-blue-50 rounded-lg">
+                  Show more ({visible.length - limit} remaining)
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="p-5 border-b border-slate-100">
+              <label className="block text-xs font-medium text-slate-500 mb-2">Flag pairs at or above: {Math.round(cutoff * 100)}% similar</label>
+              <input
+                type="range"
+                min="0.6"
+                max="1"
+                step="0.01"
+                value={cutoff}
+                onChange={(e) => setCutoff(parseFloat(e.target.value))}
+                className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+            <div className="p-3 overflow-y-auto space-y-1">
+              {pairs === null ? (
+                <div className="p-6 text-center text-slate-400"><Loader2 className="animate-spin mx-auto" size={20} /></div>
+              ) : pairs.length === 0 ? (
+                <p className="p-6 text-center text-xs text-slate-400">No likely duplicates at this cutoff</p>
+              ) : (
+                pairs.map(({ a, b, score }) => (
+                  <div key={`${a}|${b}`} className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-slate-50">
+                    <span className="text-[10px] font-bold text-blue-500 w-10">{Math.round(score * 100)}%</span>
+                    <div className="flex-1 min-w-0 text-sm text-slate-700">
+                      <p className="truncate">{describe(a)} <span className="text-[10px] text-slate-400">({usage.get(a) || 0} rows)</span></p>
+                      <p className="truncate">{describe(b)} <span className="text-[10px] text-slate-400">({usage.get(b) || 0} rows)</span></p>
+                    </div>
+                    <div className="flex flex-col gap-1">
+                      <button onClick={() => onMerge([a, b], a)} className="px-2 py-0.5 text-[10px] font-semibold text-blue-600 rounded hover:bg-blue-100">
+                        Keep first
+                      </button>
+                      <button onClick={() => onMerge([a, b], b)} className="px-2 py-0.5 text-[10px] font-semibold text-blue-600 rounded hover:bg-blue-100">
+                        Keep second
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Component: Review Status ---
+const REVIEW_ACTIONS = [
+  ['verified', 'Verify'],
+  ['flagged', 'Unresolvable'],
+  ['not-facility', 'Not a facility']
+];
+
+const formatStamp = (stamp) => `${stamp.by} · ${new Date(stamp.at).toLocaleString()}`;
+
+// Status pill for the results table; opens a small editor for status and note
+const ReviewCell = ({ status, match, review, onReview }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [note, setNote] = useState('');
+  const stamp = review || match;
+
+  const toggle = () => {
+    if (!isOpen) setNote(review ? review.note : '');
+    setIsOpen(prev => !prev);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-1">
+      <button
+        onClick={toggle}
+        title={stamp && stamp.by ? `Set by ${formatStamp(stamp)}` : 'Set review status'}
+        className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-[10px] font-bold uppercase whitespace-nowrap ${ROW_STATUSES[status].className}`}
+      >
+        {ROW_STATUSES[status].label}
+        {review && review.note && <StickyNote size={10} />}
+      </button>
+      {isOpen && (
+        <div className="w-52 text-left space-y-2 p-2 bg-white border border-slate-200 rounded-lg shadow-sm">
+          <div className="flex flex-wrap gap-1">
+            {REVIEW_ACTIONS.map(([key, label]) => {
+              const isActive = review && review.status === key;
+              return (
+                <button
+                  key={key}
+                  onClick={() => onReview({ status: isActive ? null : key })}
+                  disabled={key === 'verified' && !match}
+                  className={`px-2 py-1 text-[10px] font-bold rounded border transition-colors disabled:opacity-40 ${isActive ? 'bg-blue-600 border-blue-600 text-white' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+                >
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+          <textarea
+            rows={2}
+            placeholder="Note..."
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="w-full border border-slate-200 rounded p-1.5 text-xs outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex items-center justify-between">
+            <span className="text-[9px] text-slate-400 truncate">{stamp && stamp.by ? formatStamp(stamp) : ''}</span>
+            <button
+              onClick={() => { onReview({ note: note.trim() }); setIsOpen(false); }}
+              disabled={note.trim() === (review ? review.note : '')}
+              className="px-2 py-1 text-[10px] font-bold text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-40"
+            >
+              Save note
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Component: QA Review ---
+const formatRate = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+const QaPanel = ({ qa, eligibleCount, rawById, matches, reviewer, labelOf, onStart, onDecide, onReset, onClose }) => {
+  const [size, setSize] = useState(Math.min(50, eligibleCount));
+  // Rows matched differently since sampling (or unmatched) drop out of the walk
+  const current = qa
+    ? qa.ids.find(id => !qa.decisions[id] && rawById.has(id) && isConfirmedMatch(matches[id]))
+    : undefined;
+  const item = current !== undefined ? rawById.get(current) : null;
+  const match = item ? matches[current] : null;
+  const summary = qa ? qaErrorRate(qa.decisions) : null;
+  const byMethod = useMemo(() => {
+    const counts = {};
+    Object.values(qa ? qa.decisions : {}).forEach(decision => {
+      const entry = counts[decision.method] || (counts[decision.method] = { reviewed: 0, rejected: 0 });
+      entry.reviewed++;
+      if (decision.verdict === 'reject') entry.rejected++;
+    });
+    return counts;
+  }, [qa]);
+
+  // A accepts and R rejects the row on screen
+  useEffect(() => {
+    if (!item) return undefined;
+    const onKeyDown = (e) => {
+      const target = e.target;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'a') onDecide(current, 'accept');
+      else if (key === 'r') onDecide(current, 'reject');
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [item, current, onDecide]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+            <ClipboardCheck size={18} className="text-teal-600" /> QA Review
+            <span className="text-xs font-normal text-slate-400">as {reviewer}</span>
+          </h2>
+          <button onClick={onClose} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5 overflow-y-auto">
+          {!qa ? (
+            <div className="space-y-3">
+              <p className="text-sm text-slate-600">
+                A second reviewer checks a random sample of the {eligibleCount} matched rows. Accepted rows are marked verified;
+                rejected rows go back to unmatched.
+              </p>
+              <div className="flex items-center gap-2">
+                <label className="text-xs font-medium text-slate-500">Sample size</label>
+                <input
+                  type="number"
+                  min="1"
+                  max={eligibleCount}
+                  value={size}
+                  onChange={(e) => setSize(Math.max(1, Math.min(eligibleCount, Number(e.target.value) || 1)))}
+                  className="w-20 border border-slate-200 rounded-lg p-1.5 text-sm outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={() => onStart(size)}
+                  disabled={eligibleCount === 0}
+                  className="px-4 py-1.5 bg-teal-600 text-white text-sm font-semibold rounded-lg hover:bg-teal-700 disabled:opacity-50"
+                >
+                  Start
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <div className="flex justify-between text-xs text-slate-500 mb-1">
+                  <span>{summary.reviewed} of {qa.size} reviewed</span>
+                  <span>Started by {qa.by} &middot; {new Date(qa.startedAt).toLocaleDateString()}</span>
+                </div>
+                <div className="w-full bg-slate-100 rounded-full h-2">
+                  <div className="bg-teal-600 h-2 rounded-full transition-all" style={{ width: `${qa.size > 0 ? (summary.reviewed / qa.size) * 100 : 0}%` }}></div>
+                </div>
+              </div>
+
+              {item ? (
+                <div className="border border-slate-200 rounded-xl p-4 space-y-3">
+                  <div>
+                    <p className="text-[10px] font-bold text-slate-400 uppercase">Raw input</p>
+                    <p className="text-sm font-medium text-slate-800">{item.text}</p>
+                    {item.fields && Object.keys(item.fields).length > 0 && (
+                      <div className="flex flex-wrap gap-x-3 text-[10px] text-slate-400">
+                        {Object.entries(item.fields).map(([key, value]) => (
+                          <span key={key}><span className="font-bold uppercase">{key}:</span> {value}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div>
+                    <p className="text-[10px] font-bold text-slate-400 uppercase">Matched to</p>
+                    <p className="text-sm font-bold text-slate-800">{labelOf(match.refId)}</p>
+                    <p className="text-[10px] text-slate-400 font-bold uppercase">
+                      {MATCH_METHODS[match.method].label}
+                      {match.score !== null && ` · ${Math.round(match.score * 100)}%`}
+                      {match.by && ` · ${match.by}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onDecide(current, 'accept')}
+                      className="flex-1 py-2 bg-green-600 text-white text-sm font-semibold rounded-lg hover:bg-green-700"
+                    >
+                      Accept (A)
+                    </button>
+                    <button
+                      onClick={() => onDecide(current, 'reject')}
+                      className="flex-1 py-2 bg-red-600 text-white text-sm font-semibold rounded-lg hover:bg-red-700"
+                    >
+                      Reject (R)
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-slate-600 text-center">
+                  {summary.reviewed < qa.size
+                    ? `Sample finished; ${qa.size - summary.reviewed} rows changed since sampling and were skipped.`
+                    : 'Sample finished.'}
+                </p>
+              )}
+
+              <div className="bg-slate-50 rounded-xl p-4">
+                <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-1">Error rate</p>
+                {summary.rate === null ? (
+                  <p className="text-sm text-slate-400">No rows reviewed yet</p>
+                ) : (
+                  <>
+                    <p className="text-2xl font-bold text-slate-800">
+                      {formatRate(summary.rate)}
+                      <span className="text-xs font-normal text-slate-500 ml-2">
+                        {summary.rejected} of {summary.reviewed} rejected &middot; 95% CI {formatRate(summary.low)}&ndash;{formatRate(summary.high)}
+                      </span>
+                    </p>
+                    <div className="flex flex-wrap gap-3 mt-2">
+                      {Object.entries(byMethod).map(([method, counts]) => (
+                        <span key={method} className="text-[10px] text-slate-500">
+                          <span className="font-bold uppercase">{MATCH_METHODS[method] ? MATCH_METHODS[method].label : method}:</span>{' '}
+                          {counts.rejected}/{counts.reviewed} rejected
+                        </span>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <button
+                onClick={() => window.confirm('Discard this sample and its results?') && onReset()}
+                className="text-[10px] font-bold text-slate-400 hover:text-slate-600 uppercase"
+              >
+                Start a new sample
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Component: Keyboard Matcher ---
+const FOCUS_SHORTCUTS = [
+  ['1-9', 'Accept candidate'],
+  ['Enter', 'Accept suggestion'],
+  ['S', 'Skip'],
+  ['F', 'Unresolvable'],
+  ['X', 'Not a facility'],
+  ['C', 'New clean name'],
+  ['B', 'Back'],
+  ['Esc', 'Close']
+];
+
+// One row at a time with its top candidates; every action goes through the same
+// handlers as the table, and `isPaused` hands the keyboard back while a dialog is open
+const FocusMatcher = ({
+  item, match, candidates, labelOf, remaining, progress, canGoBack, isPaused,
+  onAccept, onAcceptSuggestion, onSkip, onSetAside, onCreate, onBack, onClose
+}) => {
+  const [draftName, setDraftName] = useState(null); // Name being created, null when not
+
+  useEffect(() => { setDraftName(null); }, [item]);
+
+  // Rebound every render so the keys always act on the props shown
+  useEffect(() => {
+    if (isPaused || draftName !== null) return undefined;
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) return;
+      const key = e.key.toLowerCase();
+      const back = canGoBack ? onBack : null;
+      const actions = { escape: onClose, b: back, arrowleft: back };
+      if (item) {
+        Object.assign(actions, {
+          enter: match && match.method === 'suggested' ? onAcceptSuggestion : null,
+          s: onSkip,
+          arrowright: onSkip,
+          f: () => onSetAside('flagged'),
+          x: () => onSetAside('not-facility'),
+          c: () => setDraftName(item.text)
+        });
+      }
+      const candidate = item && /^[1-9]$/.test(key) && candidates ? candidates[Number(key) - 1] : null;
+      const action = candidate ? () => onAccept(candidate.refId) : actions[key];
+      if (!action) return;
+      e.preventDefault();
+      action();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const confirmCreate = () => {
+    const name = draftName.trim();
+    if (name) onCreate(name);
+    setDraftName(null);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border-2 border-blue-200 p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+          <Keyboard size={18} className="text-blue-500" /> Keyboard Matching
+          <span className="text-xs font-normal text-slate-400">{remaining} left in view &middot; {Math.round(progress)}% complete</span>
+        </h2>
+        <button onClick={onClose} title="Close (Esc)" className="p-1.5 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+          <X size={16} />
+        </button>
+      </div>
+
+      {!item ? (
+        <p className="text-sm text-slate-500 text-center py-4">
+          Every row in the current results is matched or set aside.
+          {canGoBack && ' Press B to go back.'}
+        </p>
+      ) : (
+        <>
+          <div>
+            <p className="text-lg font-bold text-slate-800">{item.text}</p>
+            {item.fields && Object.keys(item.fields).length > 0 && (
+              <div className="flex flex-wrap gap-x-3 text-[10px] text-slate-400">
+                {Object.entries(item.fields).map(([key, value]) => (
+                  <span key={key}><span className="font-bold uppercase">{key}:</span> {value}</span>
+                ))}
+              </div>
+            )}
+            {match && (
+              <p className="text-[10px] font-bold uppercase mt-1 text-amber-600">
+                {MATCH_METHODS[match.method].label}: {labelOf(match.refId)}
+                {match.method === 'suggested' && ' · Enter to accept'}
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            {candidates === null ? (
+              <p className="text-xs text-slate-400 flex items-center gap-2"><Loader2 className="animate-spin" size={14} /> Ranking candidates...</p>
+            ) : candidates.length === 0 ? (
+              <p className="text-xs text-slate-400">No candidates found. Press C to create a clean name from this text.</p>
+            ) : (
+              candidates.map((candidate, index) => (
+                <button
+                  key={candidate.refId}
+                  onClick={() => onAccept(candidate.refId)}
+                  className={`w-full flex items-center gap-3 px-3 py-2 text-left text-sm rounded-lg border transition-colors hover:bg-blue-50 ${match && match.refId === candidate.refId ? 'border-amber-300 bg-amber-50/50' : 'border-slate-200'}`}
+                >
+                  <span className="w-6 h-6 flex items-center justify-center rounded bg-slate-100 text-xs font-bold text-slate-600">{index + 1}</span>
+                  <span className="flex-1 text-slate-700">{labelOf(candidate.refId)}</span>
+                  <span className="text-xs font-bold text-slate-400">{Math.round(candidate.score * 100)}%</span>
+                </button>
+              ))
+            )}
+          </div>
+
+          {draftName !== null && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                autoFocus
+                value={draftName}
+                onChange={(e) => setDraftName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') confirmCreate();
+                  else if (e.key === 'Escape') setDraftName(null);
+                }}
+                className="flex-1 border border-slate-200 rounded-lg p-2 text-sm outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button onClick={confirmCreate} className="px-3 bg-blue-600 text-white text-sm font-semibold rounded-lg hover:bg-blue-700">
+                Create &amp; match
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 pt-3 border-t border-slate-100">
+        {FOCUS_SHORTCUTS.map(([key, label]) => (
+          <span key={key} className="text-[10px] text-slate-400">
+            <kbd className="px-1 py-0.5 bg-slate-100 border border-slate-200 rounded font-mono text-slate-600">{key}</kbd> {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// --- Component: Results Table ---
+const compareText = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }).compare;
+const STATUS_ORDER = Object.keys(ROW_STATUSES);
+
+// Rows without a value (say, no match when sorting by score) go last either way
+const sortRows = (rows, { column, direction }, valueOf) => {
+  const keyed = rows.map(row => [valueOf(column, row), row]);
+  keyed.sort(([x], [y]) => {
+    if (x === null || y === null) return x === y ? 0 : x === null ? 1 : -1;
+    const order = typeof x === 'string' ? compareText(x, y) : x - y;
+    return direction === 'asc' ? order : -order;
+  });
+  return keyed.map(([, row]) => row);
+};
+
+// Cycles ascending, descending, then back to the default order
+const SortHeader = ({ column, label, sort, onSort, className = '' }) => {
+  const isActive = sort.column === column;
+  const Icon = !isActive ? ArrowUpDown : sort.direction === 'asc' ? ArrowUp : ArrowDown;
+  const next = !isActive
+    ? { column, direction: 'asc' }
+    : sort.direction === 'asc' ? { column, direction: 'desc' } : { column: null, direction: 'asc' };
+  return (
+    <th className={`px-6 py-3 text-xs font-bold uppercase tracking-wider ${className}`}>
+      <button
+        onClick={() => onSort(next)}
+        className={`inline-flex items-center gap-1 uppercase ${isActive ? 'text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+      >
+        {label} <Icon size={12} />
+      </button>
+    </th>
+  );
+};
+
+// --- Component: Quality Report ---
+const REPORT_LIST_LIMIT = 200;
+
+const ReportList = ({ title, count, children }) => (
+  <div>
+    <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">
+      {title} <span className="font-normal">({count})</span>
+    </h3>
+    <div className="max-h-56 overflow-y-auto border border-slate-200 rounded-lg divide-y divide-slate-100">
+      {count === 0 ? <p className="p-3 text-xs text-slate-400 text-center">None</p> : children}
+      {count > REPORT_LIST_LIMIT && (
+        <p className="p-2 text-[10px] text-slate-400 italic text-center">and {count - REPORT_LIST_LIMIT} more in the export</p>
+      )}
+    </div>
+  </div>
+);
 
-// --- Utility: Fuzzy String Matching (Levenshtein Distance) ---
-const getLevenshteinDistance = (a, b) => {
-  const matrix = Array.from({ length: a.length + 1 }, (_, i) => [i]);
-  for (let j = 0; j <= b.length; j++) matrix[0][j] = j;
-  for (let i = 1; i <= a.length; i++) {
-    for (let j = 1; j <= b.length; j++) {
-      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
-      matrix[i][j] = Math.min(
-        matrix[i - 1][j] + 1,
-        matrix[i][j - 1] + 1,
-        matrix[i - 1][j - 1] + cost
-      );
-    }
-  }
-  return matrix[a.length][b.length];
+const QualityReport = ({ rawInputs, matches, reviews, references, onInspect, onExport, onClose }) => {
+  const [lowScore, setLowScore] = useState(DEFAULT_LOW_SCORE);
+  const report = useMemo(
+    () => buildQualityReport({ rawInputs, matches, reviews, references }, { lowScore }),
+    [rawInputs, matches, reviews, references, lowScore]
+  );
+  const tallest = Math.max(1, ...report.scoreBuckets.map(bucket => bucket.count));
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+            <BarChart3 size={18} className="text-blue-500" /> Match Quality Report
+          </h2>
+          <div className="flex items-center gap-2">
+            {Object.entries(REPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => onExport(format, report)}
+                className="flex items-center gap-1 px-3 py-1.5 text-xs font-semibold text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50"
+              >
+                <Download size={14} /> {label}
+              </button>
+            ))}
+            <button onClick={onClose} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-5 space-y-6 overflow-y-auto">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            {Object.entries(report.byMethod).map(([method, count]) => (
+              <div key={method} className="bg-slate-50 rounded-xl p-3">
+                <p className="text-[10px] font-semibold text-slate-400 uppercase">{MATCH_METHODS[method] ? MATCH_METHODS[method].label : 'Unmatched'}</p>
+                <p className="text-xl font-bold">{count}</p>
+                <p className="text-[10px] text-slate-400">{report.total > 0 ? formatPercent(count / report.total) : '0%'} of rows</p>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">
+              Score distribution <span className="font-normal">(confirmed matches{report.unscored > 0 && `, ${report.unscored} unscored`})</span>
+            </h3>
+            <div className="flex items-end gap-1 h-32">
+              {report.scoreBuckets.map(bucket => (
+                <div key={bucket.from} className="flex-1 flex flex-col items-center justify-end h-full" title={`${bucket.count} rows`}>
+                  <span className="text-[10px] text-slate-500">{bucket.count}</span>
+                  <div
+                    className={`w-full rounded-t ${bucket.to <= report.lowScore ? 'bg-red-300' : 'bg-blue-400'}`}
+                    style={{ height: `${(bucket.count / tallest) * 100}%` }}
+                  ></div>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-1 mt-1">
+              {report.scoreBuckets.map(bucket => (
+                <span key={bucket.from} className="flex-1 text-center text-[9px] text-slate-400">{formatPercent(bucket.from)}</span>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <ReportList title="Top clean names" count={report.topNames.length}>
+              {report.topNames.map(entry => (
+                <div key={entry.refId} className="flex justify-between px-3 py-1.5 text-xs">
+                  <span className="text-slate-700 truncate">{entry.name}</span>
+                  <span className="font-bold text-slate-500">{entry.rows}</span>
+                </div>
+              ))}
+            </ReportList>
+            <ReportList title="Unused clean names" count={report.unusedNames.length}>
+              {report.unusedNames.slice(0, REPORT_LIST_LIMIT).map(entry => (
+                <div key={entry.refId} className="px-3 py-1.5 text-xs text-slate-700 truncate">{entry.name}</div>
+              ))}
+            </ReportList>
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-xs font-medium text-slate-500 mb-2">
+              Flag matches scoring below {formatPercent(lowScore)}
+              <input
+                type="range"
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={lowScore}
+                onChange={(e) => setLowScore(parseFloat(e.target.value))}
+                className="w-32 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-red-500"
+              />
+            </label>
+            <ReportList title="Low similarity matches" count={report.lowSimilarity.length}>
+              {report.lowSimilarity.slice(0, REPORT_LIST_LIMIT).map(entry => (
+                <button
+                  key={entry.id}
+                  onClick={() => onInspect(entry.text)}
+                  title="Search for this input"
+                  className="w-full flex items-center gap-2 px-3 py-1.5 text-xs text-left hover:bg-blue-50"
+                >
+                  <span className="flex-1 text-slate-700 truncate">{entry.text}</span>
+                  <ArrowRight size={12} className="text-slate-300" />
+                  <span className="flex-1 text-slate-700 truncate">{entry.name}</span>
+                  <span className="w-10 text-right font-bold text-red-600">{formatPercent(entry.score)}</span>
+                  <span className="w-20 text-right text-[10px] text-slate-400 uppercase">{MATCH_METHODS[entry.method].label}</span>
+                </button>
+              ))}
+            </ReportList>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
 };
 
-const getSimilarityScore = (a, b) => {
-  const distance = getLevenshteinDistance(a, b);
-  const maxLength = Math.max(a.length, b.length);
-  return maxLength === 0 ? 1.0 : 1.0 - distance / maxLength;
+// --- Component: Export Dialog ---
+const ExportDialog = ({ defaultFileName, rowCount, attributeOptions, onCancel, onExport }) => {
+  const [fileName, setFileName] = useState(defaultFileName);
+  const [format, setFormat] = useState('csv');
+  const [attributes, setAttributes] = useState(attributeOptions);
+
+  const toggleAttribute = (attribute) => setAttributes(prev => (
+    prev.includes(attribute)
+      ? prev.filter(a => a !== attribute)
+      : attributeOptions.filter(a => a === attribute || prev.includes(a))
+  ));
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h2 className="font-semibold text-slate-700 flex items-center gap-2">
+            <Download size={18} className="text-green-600" /> Export Results
+          </h2>
+          <button onClick={onCancel} className="p-2 text-slate-400 hover:text-slate-600 rounded-lg hover:bg-slate-100">
+            <X size={18} />
+          </button>
+        </div>
+        <div className="p-5 space-y-4">
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">File name</label>
+            <div className="flex items-center border border-slate-200 rounded-lg focus-within:ring-2 focus-within:ring-blue-500">
+              <input
+                type="text"
+                value={fileName}
+                onChange={(e) => setFileName(e.target.value)}
+                className="flex-1 p-2 text-sm outline-none rounded-lg"
+              />
+              <span className="pr-3 text-sm text-slate-400">.{EXPORT_FORMATS[format].extension}</span>
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-500 mb-1">Format</label>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  onClick={() => setFormat(key)}
+                  className={`px-3 py-2 text-xs font-semibold rounded-lg border transition-colors ${format === key ? 'bg-blue-600 border-blue-600 text-white' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {attributeOptions.length > 0 && (
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">Reference attributes</label>
+              <div className="flex flex-wrap gap-2">
+                {attributeOptions.map(attribute => (
+                  <label
+                    key={attribute}
+                    className={`flex items-center gap-1.5 px-3 py-1 rounded-full border text-xs cursor-pointer transition-colors ${attributes.includes(attribute) ? 'bg-blue-50 border-blue-200 text-blue-700' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={attributes.includes(attribute)}
+                      onChange={() => toggleAttribute(attribute)}
+                      className="accent-blue-600"
+                    />
+                    {attribute}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <p className="text-[10px] text-slate-400">
+            {rowCount} rows in original order, with the clean name, reference ID, chosen attributes, match score and match method appended.
+          </p>
+        </div>
+        <div className="flex justify-end gap-2 p-5 border-t border-slate-100">
+          <button onClick={onCancel} className="px-4 py-2 text-sm font-semibold text-slate-600 rounded-lg hover:bg-slate-100">
+            Cancel
+          </button>
+          <button
+            onClick={() => onExport(fileName.trim() || defaultFileName, format, attributes)}
+            className="px-4 py-2 text-sm font-semibold bg-green-600 text-white rounded-lg hover:bg-green-700"
+          >
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
 };
 
 const App = () => {
@@ -68,23 +3069,153 @@ const App = () => {
   const [user, setUser] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [saveMessage, setSaveMessage] = useState('');
+  const [loadProgress, setLoadProgress] = useState(null); // { loaded, total } pages while loading
+  const [saveMessage, setSaveMessage] = useState(null); // { text, isWarning }
 
-  const [rawInputs, setRawInputs] = useState([]);
-  const [cleanNames, setCleanNames] = useState([]);
-  const [matches, setMatches] = useState({}); // rawIndex: cleanName
+  const [rawInputs, setRawInputs] = useState(EMPTY_SESSION.rawInputs);
+  const [references, setReferences] = useState(EMPTY_SESSION.references);
+  const [matches, setMatches] = useState(EMPTY_SESSION.matches); // rawId: { refId, method, score, scorer, by, at }
+  const [reviews, setReviews] = useState(EMPTY_SESSION.reviews); // rawId: { status, refId, note, by, at }
+  const [qa, setQa] = useState(EMPTY_SESSION.qa); // Current QA sample, see qaErrorRate
+  const [history, setHistory] = useState({ past: [], future: [] });
+  // Latest values for handlers that finish asynchronously or run back to back
+  const matchesRef = useRef(matches);
+  const referencesRef = useRef(references);
+  const reviewsRef = useRef(reviews);
+  matchesRef.current = matches;
+  referencesRef.current = references;
+  reviewsRef.current = reviews;
+  const [claims, setClaims] = useState({}); // Shared sessions only: rawId: { uid, name, at }
+  const claimsRef = useRef(claims);
+  claimsRef.current = claims;
+  const pendingRowsRef = useRef(new Map()); // rawId: our shared writes still in flight
+  const [reviewerName, setReviewerName] = useState(() => {
+    try {
+      return window.localStorage.getItem(REVIEWER_STORAGE_KEY) || '';
+    } catch (err) {
+      return '';
+    }
+  });
+  const [showQa, setShowQa] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const reviewer = reviewerName.trim() || 'Anonymous';
+  const author = { uid: user ? user.uid : null, name: reviewer };
+  const [rawSource, setRawSource] = useState(EMPTY_SESSION.rawSource); // { fileName, headers, rows, nameColumn, passthroughColumns }
+  const [pendingImport, setPendingImport] = useState(null); // Parsed upload awaiting column selection
+  const [showExport, setShowExport] = useState(false);
   
   // Search & Display State
   const [searchTerm, setSearchTerm] = useState('');
   const [debouncedTerm, setDebouncedTerm] = useState('');
   
-  const [selectedCleanName, setSelectedCleanName] = useState('');
+  const [selectedRefId, setSelectedRefId] = useState('');
   const [newCleanInput, setNewCleanInput] = useState('');
   const [threshold, setThreshold] = useState(0.65); // Similarity threshold
-  const [displayLimit, setDisplayLimit] = useState(50); // Pagination limit for performance
+  const [statusFilter, setStatusFilter] = useState('all'); // Key of STATUS_FILTERS
+  const [methodFilter, setMethodFilter] = useState('all'); // all | auto | manual | memory
+  const [assignedFilter, setAssignedFilter] = useState(''); // Text the assigned clean name must contain
+  const [scoreRange, setScoreRange] = useState([0, 1]); // Match score bounds; narrowing them hides unmatched rows
+  const [sort, setSort] = useState({ column: null, direction: 'asc' }); // No column keeps search or file order
+  const [claimFilter, setClaimFilter] = useState('all'); // Shared sessions: all | mine | unclaimed
+  const [viewMode, setViewMode] = useState('rows'); // rows | clusters
+  const [clusterCutoff, setClusterCutoff] = useState(0.9);
+  const [clusters, setClusters] = useState(null); // [{ key, ids, variants }], largest first
+  const [isClustering, setIsClustering] = useState(false);
+  const [clusterFilter, setClusterFilter] = useState(null); // Cluster key drilled into from the cluster view
+  const [focus, setFocus] = useState(null); // Keyboard mode: { id, trail, skipped }; id is null once the view is done
+  const [focusCandidates, setFocusCandidates] = useState(null); // [{ refId, score }] for focus.id
+
+  // Auto-match State
+  const [acceptAt, setAcceptAt] = useState(EMPTY_SESSION.acceptAt);
+  const [reviewAt, setReviewAt] = useState(EMPTY_SESSION.reviewAt);
+  const [isAutoMatching, setIsAutoMatching] = useState(false);
+  const [autoMatchSummary, setAutoMatchSummary] = useState(null);
+
+  // Normalization rules applied before any similarity scoring
+  const [normalization, setNormalization] = useState(EMPTY_SESSION.normalization);
+  const normalize = useMemo(() => compileNormalizer(normalization), [normalization]);
+  const [scorer, setScorer] = useState(EMPTY_SESSION.scorer);
+  const [constraints, setConstraints] = useState(EMPTY_SESSION.constraints); // [{ field, attribute, mode, bonus }]
+
+  // Session State
+  const [sessionId, setSessionId] = useState(null); // null until the first save
+  const [sessionKind, setSessionKind] = useState('local'); // Backend the open session lives in
+  const [sessionName, setSessionName] = useState('Untitled session');
+  const [savedContent, setSavedContent] = useState(EMPTY_SESSION); // As of the last save or load
+  const [showSessions, setShowSessions] = useState(false);
+  const [managerKind, setManagerKind] = useState('local'); // Backend shown in the session manager
+  const [sessions, setSessions] = useState([]);
+  const [isListing, setIsListing] = useState(false);
+  const autosavedRef = useRef(EMPTY_SESSION);
+
+  // Local storage is always there; the cloud backend appears once signed in
+  const localStorageBackend = useMemo(
+    () => (typeof indexedDB !== 'undefined' ? createIndexedDbStorage() : null),
+    []
+  );
+  const cloudStorageBackend = useMemo(
+    () => (db && user ? createFirestoreStorage(db, ['artifacts', appId, 'users', user.uid, 'hospital_data']) : null),
+    [user]
+  );
+  const sharedStorageBackend = useMemo(
+    () => (db && user ? createSharedStorage(db, appId, user.uid) : null),
+    [user]
+  );
+  const backends = [localStorageBackend, cloudStorageBackend, sharedStorageBackend].filter(Boolean);
+  const backendFor = (kind) => backends.find(b => b.kind === kind) || null;
+
+  // Alias Memory State (kept by the local backend, shared by every session)
+  const [aliases, setAliases] = useState({}); // key: { key, raw, name, refId, count, updatedAt }
+  const aliasesRef = useRef(aliases);
+  const [showAliases, setShowAliases] = useState(false);
+  const [showReferenceEditor, setShowReferenceEditor] = useState(false);
+  const [recallPending, setRecallPending] = useState(false);
+  const [memorySummary, setMemorySummary] = useState(null);
+
+  const referenceById = useMemo(() => new Map(references.map(reference => [reference.id, reference])), [references]);
+  const nameOf = (refId) => (referenceById.has(refId) ? referenceById.get(refId).name : refId);
+  // Name plus city/state, for places where same-named facilities sit side by side
+  const labelOf = (refId) => {
+    const location = describeLocation(referenceById.get(refId));
+    return location ? `${nameOf(refId)} (${location})` : nameOf(refId);
+  };
+
+  // Why a row can't rightly go to a reference under the 'same' rules, or null if it can
+  const constraintConflict = (item, refId) => {
+    const reference = referenceById.get(refId);
+    if (!reference || constraints.length === 0) return null;
+    const { violations } = checkConstraints(item.fields, reference.attributes, constraints);
+    return violations.length > 0 ? describeViolations(violations, item.fields, reference.attributes) : null;
+  };
+
+  // Manual matches may break a constraint on purpose, but never silently
+  const warnConstraintConflicts = (items, refId) => {
+    const conflicts = items.filter(item => constraintConflict(item, refId));
+    if (conflicts.length === 0) return;
+    flashMessage(conflicts.length === 1
+      ? `"${conflicts[0].text}" breaks a constraint (${constraintConflict(conflicts[0], refId)})`
+      : `${conflicts.length} rows break a constraint for ${nameOf(refId)}`, true);
+  };
+
+  const sessionContent = { rawInputs, rawSource, references, matches, reviews, qa, normalization, scorer, constraints, acceptAt, reviewAt };
+  // Shared sessions save row decisions as they are made
+  const liveKeys = sessionKind === 'shared' ? ['matches', 'reviews'] : [];
+  const isDirty = Object.keys(EMPTY_SESSION).some(key => !liveKeys.includes(key) && sessionContent[key] !== savedContent[key]);
+
+  const isClaimedByOther = (id) => {
+    const claim = claimsRef.current[id];
+    return Boolean(claim) && (!user || claim.uid !== user.uid);
+  };
+
+  // Indexed scoring runs in a worker; results arrive asynchronously
+  const runMatchTask = useMatchEngine(rawInputs, references, normalization);
+  const [searchResults, setSearchResults] = useState(null); // { filtered, suggestions }
+  const [isSearching, setIsSearching] = useState(false);
+  const [rowCandidates, setRowCandidates] = useState({}); // rawId: [{ refId, score }] for rows on screen
 
   // --- Auth & Persistence Effects ---
   useEffect(() => {
+    if (!auth) return undefined;
     const initAuth = async () => {
       if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
         await signInWithCustomToken(auth, __initial_auth_token);
@@ -92,11 +3223,19 @@ const App = () => {
         await signInAnonymously(auth);
       }
     };
-    initAuth();
+    initAuth().catch(err => console.error("Error signing in:", err));
     const unsubscribe = onAuthStateChanged(auth, setUser);
     return () => unsubscribe();
   }, []);
 
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(REVIEWER_STORAGE_KEY, reviewerName);
+    } catch (err) {
+      // Private browsing can refuse storage; the name just won't persist
+    }
+  }, [reviewerName]);
+
   // Debounce search to improve performance
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -105,165 +3244,1374 @@ const App = () => {
     return () => clearTimeout(timer);
   }, [searchTerm]);
 
-  // Reset display limit when search changes
-  useEffect(() => {
-    setDisplayLimit(50);
-  }, [debouncedTerm, threshold]);
+  // Clusters belong to the old rows once a new file arrives
+  useEffect(() => {
+    setClusters(null);
+    setClusterFilter(null);
+  }, [rawInputs]);
+
+  // --- Handlers: File Operations ---
+  // Uploads are parsed up front, then held until the user picks the name column
+  const readUpload = (e, target) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const text = event.target.result;
+      const parsed = parseCsv(text);
+      const nameColumn = guessNameColumn(parsed.headers, parsed.rows);
+      setPendingImport({
+        target,
+        fileName: file.name,
+        text,
+        ...parsed,
+        nameColumn,
+        ...(target === 'clean' ? guessReferenceColumns(parsed.headers, nameColumn) : { idColumn: -1, aliasColumn: -1 }),
+        passthroughColumns: []
+      });
+    };
+    reader.readAsText(file);
+    // Allow re-selecting the same file after a cancelled import
+    e.target.value = '';
+  };
+
+  const handleRawUpload = (e) => {
+    // Everyone in a shared session works from the same rows
+    if (sessionKind === 'shared') {
+      e.target.value = '';
+      flashMessage('A shared session keeps its raw file. Create a new session to match a different one.', true);
+      return;
+    }
+    readUpload(e, 'raw');
+  };
+  const handleCleanListUpload = (e) => readUpload(e, 'clean');
+
+  const reparsePendingImport = (options) => {
+    setPendingImport(prev => {
+      const parsed = parseCsv(prev.text, {
+        delimiter: prev.delimiter,
+        hasHeader: prev.hasHeader,
+        ...options
+      });
+      const width = parsed.headers.length;
+      return {
+        ...prev,
+        ...parsed,
+        nameColumn: prev.nameColumn < width ? prev.nameColumn : guessNameColumn(parsed.headers, parsed.rows),
+        idColumn: prev.idColumn < width ? prev.idColumn : -1,
+        aliasColumn: prev.aliasColumn < width ? prev.aliasColumn : -1,
+        passthroughColumns: prev.passthroughColumns.filter(c => c < width)
+      };
+    });
+  };
+
+  const confirmImport = () => {
+    const { target, fileName, headers, rows, nameColumn } = pendingImport;
+    const passthroughColumns = pendingImport.passthroughColumns.filter(c => c !== nameColumn);
+    if (target === 'raw') {
+      setRawInputs(rowsFromTable(headers, rows, { nameColumn, fieldColumns: passthroughColumns }));
+      setRawSource({
+        fileName,
+        headers,
+        rows,
+        nameColumn: headers[nameColumn],
+        passthroughColumns: passthroughColumns.map(c => headers[c])
+      });
+      // Previous matches, reviews and history are keyed by the old file's row ids
+      matchesRef.current = {};
+      setMatches({});
+      reviewsRef.current = {};
+      setReviews({});
+      setQa(null);
+      setHistory({ past: [], future: [] });
+    } else {
+      const { idColumn, aliasColumn } = pendingImport;
+      const attributeColumns = passthroughColumns.filter(c => c !== idColumn && c !== aliasColumn);
+      const records = recordsFromRows(headers, rows, { nameColumn, idColumn, aliasColumn, attributeColumns });
+      const next = mergeReferences(referencesRef.current, records);
+      recordChange(`Imported ${records.length} clean names (${next.length - referencesRef.current.length} new)`, matchesRef.current, next);
+    }
+    setRecallPending(true);
+    setPendingImport(null);
+  };
+
+  // --- Handlers: Undoable Changes ---
+  // Every edit to matches or the reference list goes through here. qaDecisions are
+  // verdicts for the current QA run that stand or fall with the edit.
+  const recordChange = (label, nextMatches, nextReferences = null, nextReviews = null, qaDecisions = null) => {
+    // A re-derived match identical to the current one (say, from a repeat auto-match)
+    // keeps the current one and its stamp
+    const settled = { ...nextMatches };
+    Object.entries(nextMatches).forEach(([id, match]) => {
+      const current = matchesRef.current[id];
+      if (current && current !== match && match.by === undefined && sameMatch(withoutStamp(current), match)) settled[id] = current;
+    });
+
+    // Rows someone else has claimed: a change touching only those asks first, a wider
+    // change leaves them alone
+    const proposedReviews = nextReviews && { ...nextReviews };
+    const touched = new Set([
+      ...Object.keys(diffMatches(matchesRef.current, settled)),
+      ...Object.keys(proposedReviews ? diffMatches(reviewsRef.current, proposedReviews) : {})
+    ]);
+    const claimed = [...touched].filter(isClaimedByOther);
+    if (claimed.length > 0 && claimed.length === touched.size) {
+      const question = claimed.length === 1
+        ? `This row is claimed by ${claimsRef.current[claimed[0]].name}. Change it anyway?`
+        : `These ${claimed.length} rows are claimed by someone else. Change them anyway?`;
+      if (!window.confirm(question)) return;
+    } else if (claimed.length > 0) {
+      claimed.forEach(id => {
+        [[settled, matchesRef.current], [proposedReviews, reviewsRef.current]].forEach(([next, current]) => {
+          if (!next) return;
+          if (current[id]) next[id] = current[id];
+          else delete next[id];
+        });
+      });
+      flashMessage(`Left ${claimed.length} rows claimed by others alone.`);
+    }
+    const changes = diffMatches(matchesRef.current, settled);
+    const referenceChange = nextReferences && { before: referencesRef.current, after: nextReferences };
+
+    // Changed matches are stamped with who made them, and a row given a reference
+    // is no longer unresolvable
+    const stamp = { by: reviewer, at: new Date().toISOString() };
+    let reviewsAfter = proposedReviews || reviewsRef.current;
+    const stampedMatches = settled;
+    Object.entries(changes).forEach(([id, change]) => {
+      if (!change.after) return;
+      change.after = { ...change.after, ...stamp };
+      stampedMatches[id] = change.after;
+      if (isSetAside(reviewsAfter[id])) {
+        reviewsAfter = setReview(reviewsAfter, id, updateReview(reviewsAfter[id], { status: null }, reviewer));
+      }
+    });
+    const reviewChanges = diffMatches(reviewsRef.current, reviewsAfter);
+    const hasReviewChanges = Object.keys(reviewChanges).length > 0;
+    const qaChanges = qa && qaDecisions ? diffMatches(qa.decisions, { ...qa.decisions, ...qaDecisions }) : {};
+    const qaChange = Object.keys(qaChanges).length > 0 ? { run: qa.startedAt, changes: qaChanges } : null;
+    if (Object.keys(changes).length === 0 && !referenceChange && !hasReviewChanges && !qaChange) return;
+
+    matchesRef.current = stampedMatches;
+    setMatches(stampedMatches);
+    if (referenceChange) {
+      referencesRef.current = nextReferences;
+      setReferences(nextReferences);
+    }
+    if (hasReviewChanges) {
+      reviewsRef.current = reviewsAfter;
+      setReviews(reviewsAfter);
+    }
+    if (qaChange) applyQaChanges(qaChange, 'after');
+
+    // Matches confirmed by hand are remembered for future uploads, and a hand-made match
+    // taken back is forgotten again (but not one a reference list edit moved or dropped).
+    // The step keeps what it did to the memory, so undoing it undoes the learning too.
+    const referencesNow = new Map(referencesRef.current.map(reference => [reference.id, reference]));
+    const pairOf = (id, match, byId) => {
+      const reference = match && match.method === 'manual' && byId.get(match.refId);
+      return reference && rawById.has(Number(id)) ? { raw: rawById.get(Number(id)).text, name: reference.name, refId: reference.id } : null;
+    };
+    const aliasChanges = reviseAliases(
+      Object.entries(changes).map(([id, { after }]) => pairOf(id, after, referencesNow)).filter(Boolean),
+      referenceChange ? [] : Object.entries(changes)
+        .filter(([, { before, after }]) => !after || !before || after.refId !== before.refId)
+        .map(([id, { before }]) => pairOf(id, before, referenceById))
+        .filter(Boolean)
+    );
+
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      label,
+      at: Date.now(),
+      changes,
+      references: referenceChange,
+      reviews: hasReviewChanges ? reviewChanges : null,
+      aliases: Object.keys(aliasChanges).length > 0 ? aliasChanges : null,
+      qa: qaChange
+    };
+    setHistory(prev => ({ past: [...prev.past, entry].slice(-HISTORY_LIMIT), future: [] }));
+    shareRows(rowIdsOf(entry));
+  };
+
+  // Verdicts only go back into the run they were given in
+  const applyQaChanges = ({ run, changes }, side) => setQa(prev => (
+    prev && prev.startedAt === run ? { ...prev, decisions: applyMatchChanges(prev.decisions, changes, side) } : prev
+  ));
+
+  const rowIdsOf = (entry) => [...new Set([...Object.keys(entry.changes), ...Object.keys(entry.reviews || {})])];
+
+  const undo = () => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    matchesRef.current = applyMatchChanges(matchesRef.current, entry.changes, 'before');
+    setMatches(matchesRef.current);
+    if (entry.references) {
+      referencesRef.current = entry.references.before;
+      setReferences(entry.references.before);
+    }
+    if (entry.reviews) {
+      reviewsRef.current = applyMatchChanges(reviewsRef.current, entry.reviews, 'before');
+      setReviews(reviewsRef.current);
+    }
+    if (entry.aliases) applyAliasChanges(entry.aliases, 'before');
+    if (entry.qa) applyQaChanges(entry.qa, 'before');
+    setHistory(prev => ({ past: prev.past.slice(0, -1), future: [entry, ...prev.future] }));
+    shareRows(rowIdsOf(entry));
+  };
+
+  const redo = () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    matchesRef.current = applyMatchChanges(matchesRef.current, entry.changes, 'after');
+    setMatches(matchesRef.current);
+    if (entry.references) {
+      referencesRef.current = entry.references.after;
+      setReferences(entry.references.after);
+    }
+    if (entry.reviews) {
+      reviewsRef.current = applyMatchChanges(reviewsRef.current, entry.reviews, 'after');
+      setReviews(reviewsRef.current);
+    }
+    if (entry.aliases) applyAliasChanges(entry.aliases, 'after');
+    if (entry.qa) applyQaChanges(entry.qa, 'after');
+    setHistory(prev => ({ past: [...prev.past, entry], future: prev.future.slice(1) }));
+    shareRows(rowIdsOf(entry));
+  };
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); text fields keep their own undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const addCustomCleanName = () => {
+    const name = newCleanInput.trim();
+    if (!name) return;
+    const existing = referencesRef.current.find(reference => reference.name === name);
+    if (!existing) {
+      const reference = createReference(name, { id: uniqueReferenceId(name, referenceById) });
+      recordChange(`Added clean name "${name}"`, matchesRef.current, [...referencesRef.current, reference]);
+      setSelectedRefId(reference.id);
+    } else {
+      setSelectedRefId(existing.id);
+    }
+    setNewCleanInput('');
+  };
+
+  // --- Handlers: Reference List ---
+  // Edited matches keep their method but are re-scored against the new reference
+  const rescoreMatch = (id, match, refId, references = referencesRef.current) => {
+    const item = rawById.get(Number(id));
+    const reference = references.find(r => r.id === refId);
+    if (!item || !reference) return { ...match, refId };
+    return createMatch(item.text, reference, { method: match.method, normalize, scorer: SCORERS[match.scorer] ? match.scorer : scorer });
+  };
+
+  const mergeReferencesInto = (ids, target) => {
+    const from = new Set(ids.filter(id => id !== target));
+    if (from.size === 0) return;
+    const next = replaceReferences(referencesRef.current, from, target);
+    recordChange(
+      `Merged ${from.size} names into ${nameOf(target)}`,
+      retargetMatches(matchesRef.current, from, target, (id, match, refId) => rescoreMatch(id, match, refId, next)),
+      next
+    );
+    if (from.has(selectedRefId)) setSelectedRefId(target);
+    // Remembered aliases follow the merge so they keep applying
+    storeAliases(Object.values(aliasesRef.current)
+      .filter(entry => from.has(entry.refId))
+      .map(entry => ({ ...entry, refId: target, name: nameOf(target), updatedAt: new Date().toISOString() })));
+  };
+
+  // Renaming onto another reference's name is a merge into that reference
+  const renameCleanName = (id, name) => {
+    const other = referencesRef.current.find(reference => reference.name === name && reference.id !== id);
+    if (other) {
+      mergeReferencesInto([id, other.id], other.id);
+      return;
+    }
+    const next = renameReference(referencesRef.current, id, name);
+    recordChange(
+      `Renamed ${nameOf(id)} to ${name}`,
+      retargetMatches(matchesRef.current, new Set([id]), id, (rowId, match, refId) => rescoreMatch(rowId, match, refId, next)),
+      next
+    );
+    storeAliases(Object.values(aliasesRef.current)
+      .filter(entry => entry.refId === id)
+      .map(entry => ({ ...entry, name, updatedAt: new Date().toISOString() })));
+  };
+
+  const deleteCleanName = (id, reassignTo) => {
+    const label = reassignTo ? `Deleted ${nameOf(id)}, rows moved to ${nameOf(reassignTo)}` : `Deleted ${nameOf(id)}`;
+    recordChange(
+      label,
+      retargetMatches(matchesRef.current, new Set([id]), reassignTo, rescoreMatch),
+      replaceReferences(referencesRef.current, new Set([id]), null)
+    );
+    if (selectedRefId === id) setSelectedRefId(reassignTo || '');
+  };
+
+  const referenceUsage = useMemo(() => {
+    const usage = new Map();
+    Object.values(matches).forEach(match => usage.set(match.refId, (usage.get(match.refId) || 0) + 1));
+    return usage;
+  }, [matches]);
+
+  const assignRow = (item, refId) => {
+    if (!referenceById.has(refId)) return;
+    recordChange(`Matched "${item.text}" to ${nameOf(refId)}`, {
+      ...matchesRef.current,
+      [item.id]: createMatch(item.text, referenceById.get(refId), { normalize, scorer })
+    });
+    warnConstraintConflicts([item], refId);
+  };
+
+  const matchRow = (item) => assignRow(item, selectedRefId);
+
+  const unmatchRow = (item) => {
+    const next = { ...matchesRef.current };
+    delete next[item.id];
+    recordChange(`Unmatched "${item.text}"`, next);
+  };
+
+  const bulkUnmatch = () => {
+    if (isSearchPending) return;
+    const next = { ...matchesRef.current };
+    const cleared = visibleResults.filter(item => next[item.id]);
+    cleared.forEach(item => { delete next[item.id]; });
+    recordChange(`Bulk unmatched ${cleared.length} rows`, next);
+  };
+
+  // One decision covers every member of a duplicate cluster, visible or not
+  const assignCluster = (cluster, refId) => {
+    if (!referenceById.has(refId)) return;
+    const next = { ...matchesRef.current };
+    cluster.ids.forEach(id => {
+      if (rawById.has(id)) next[id] = createMatch(rawById.get(id).text, referenceById.get(refId), { normalize, scorer });
+    });
+    recordChange(`Matched cluster "${clusterLabel(cluster)}" (${cluster.ids.length} rows) to ${nameOf(refId)}`, next);
+    warnConstraintConflicts(cluster.ids.filter(id => rawById.has(id)).map(id => rawById.get(id)), refId);
+  };
+
+  const unmatchCluster = (cluster) => {
+    const next = { ...matchesRef.current };
+    cluster.ids.forEach(id => { delete next[id]; });
+    recordChange(`Unmatched cluster "${clusterLabel(cluster)}" (${cluster.ids.length} rows)`, next);
+  };
+
+  const drillIntoCluster = (cluster) => {
+    setClusterFilter(cluster.key);
+    setViewMode('rows');
+  };
+
+  const bulkAssign = () => {
+    const reference = referenceById.get(selectedRefId);
+    if (!reference || isSearchPending) return;
+    const newMatches = { ...matchesRef.current };
+    // Only assign to the filtered results that are currently relevant
+    visibleResults.forEach(item => {
+      newMatches[item.id] = createMatch(item.text, reference, { normalize, scorer });
+    });
+    recordChange(`Bulk matched ${visibleResults.length} rows to ${reference.name}`, newMatches);
+    warnConstraintConflicts(visibleResults, reference.id);
+  };
+
+  // Verified and set-aside rows are decided; QA-rejected references stay off their row
+  const isSettledRow = (id) => {
+    const review = reviewsRef.current[id];
+    return isSetAside(review) || rowStatus(matchesRef.current[id], review) === 'verified';
+  };
+
+  const runAutoMatch = async () => {
+    setIsAutoMatching(true);
+    setAutoMatchSummary(null);
+    try {
+      const rejected = {};
+      Object.entries(reviewsRef.current).forEach(([id, review]) => {
+        if (review.rejected && review.rejected.length > 0) rejected[id] = review.rejected;
+      });
+      const result = await runMatchTask('autoMatch', {
+        existing: matchesRef.current,
+        acceptAt,
+        reviewAt,
+        scorer,
+        constraints,
+        settled: Object.keys(reviewsRef.current).filter(isSettledRow),
+        rejected
+      });
+      // Keep any matches made by hand or rows decided while the pass was running, and
+      // count only what is actually applied
+      const next = { ...result.matches };
+      const counts = { auto: 0, suggested: 0, unmatched: 0 };
+      rawInputs.forEach(({ id }) => {
+        const current = matchesRef.current[id];
+        if (isPinnedMatch(current) || isPinnedMatch(next[id]) || isSettledRow(id)) {
+          if (current) next[id] = current;
+          else delete next[id];
+          return;
+        }
+        if (!next[id]) counts.unmatched++;
+        else if (next[id].method === 'auto') counts.auto++;
+        else if (next[id].method === 'suggested') counts.suggested++;
+      });
+      recordChange(`Auto-matched: ${counts.auto} accepted, ${counts.suggested} suggested`, next);
+      setAutoMatchSummary(counts);
+    } catch (err) {
+      console.error("Error auto-matching:", err);
+    } finally {
+      setIsAutoMatching(false);
+    }
+  };
+
+  const acceptSuggestion = (item) => {
+    const current = matchesRef.current;
+    recordChange(`Accepted ${nameOf(current[item.id].refId)} for "${item.text}"`, {
+      ...current,
+      [item.id]: { ...current[item.id], method: 'manual' }
+    });
+  };
+
+  const rejectSuggestion = (item) => {
+    const next = { ...matchesRef.current };
+    delete next[item.id];
+    recordChange(`Rejected suggestion for "${item.text}"`, next);
+  };
+
+  // --- Handlers: Review ---
+  // patch is { status } and/or { note }. Verifying a suggestion accepts it; setting a
+  // row aside clears its match.
+  const reviewRow = (item, patch, qaDecisions = null) => {
+    const match = matchesRef.current[item.id];
+    if (patch.status === 'verified' && !match) return;
+    const nextMatches = { ...matchesRef.current };
+    const fullPatch = { ...patch };
+    if (patch.status === 'verified') {
+      fullPatch.refId = match.refId;
+      if (match.method === 'suggested') nextMatches[item.id] = { ...withoutStamp(match), method: 'manual' };
+    } else if (patch.status !== undefined) {
+      fullPatch.refId = null;
+    }
+    const review = updateReview(reviewsRef.current[item.id], fullPatch, reviewer);
+    if (isSetAside(review)) delete nextMatches[item.id];
+    const label = patch.status !== undefined
+      ? `Marked "${item.text}" ${patch.status ? ROW_STATUSES[patch.status].label.toLowerCase() : 'as not reviewed'}`
+      : `Edited note on "${item.text}"`;
+    recordChange(label, nextMatches, null, setReview(reviewsRef.current, item.id, review), qaDecisions);
+  };
+
+  // --- Handlers: Table Filters ---
+  const resetFilters = (status = 'all') => {
+    setStatusFilter(status);
+    setMethodFilter('all');
+    setAssignedFilter('');
+    setScoreRange([0, 1]);
+    setSort({ column: null, direction: 'asc' });
+    setClaimFilter('all');
+  };
+
+  // Stats cards open the table on one status across the whole file
+  const drillInto = (status) => {
+    setSearchTerm('');
+    setClusterFilter(null);
+    setViewMode('rows');
+    resetFilters(status);
+  };
+
+  const filtersActive = statusFilter !== 'all' || methodFilter !== 'all' || assignedFilter !== ''
+    || scoreRange[0] > 0 || scoreRange[1] < 1 || sort.column !== null || claimFilter !== 'all';
+
+  // --- Handlers: Keyboard Matching ---
+  // Walks the rows needing a decision in table order, so search and filters pick the queue.
+  // Checks the refs because it runs straight after a change, before the next render.
+  // Rows someone else has claimed are theirs to decide.
+  const needsDecision = (id) => !isConfirmedMatch(matchesRef.current[id]) && !isSetAside(reviewsRef.current[id]) && !isClaimedByOther(id);
+
+  const nextFocusId = (fromId, skipped) => {
+    const start = fromId === null ? 0 : visibleResults.findIndex(item => item.id === fromId) + 1;
+    for (let step = 0; step < visibleResults.length; step++) {
+      const { id } = visibleResults[(start + step) % visibleResults.length];
+      if (id !== fromId && needsDecision(id) && !skipped.has(id)) return id;
+    }
+    return null;
+  };
+
+  const startFocus = () => {
+    setViewMode('rows');
+    setFocus({ id: nextFocusId(null, new Set()), trail: [], skipped: new Set() });
+  };
+
+  const advanceFocus = ({ skip = false } = {}) => {
+    setFocus(prev => {
+      if (!prev || prev.id === null) return prev;
+      const skipped = skip ? new Set([...prev.skipped, prev.id]) : prev.skipped;
+      return { id: nextFocusId(prev.id, skipped), trail: [...prev.trail, prev.id], skipped };
+    });
+  };
+
+  const focusBack = () => {
+    setFocus(prev => (prev && prev.trail.length > 0
+      ? { ...prev, id: prev.trail[prev.trail.length - 1], trail: prev.trail.slice(0, -1) }
+      : prev));
+  };
+
+  const focusItem = focus && focus.id !== null ? rawById.get(focus.id) || null : null;
+
+  const focusAccept = (refId) => {
+    assignRow(focusItem, refId);
+    advanceFocus();
+  };
+
+  const focusAcceptSuggestion = () => {
+    acceptSuggestion(focusItem);
+    advanceFocus();
+  };
+
+  const focusSetAside = (status) => {
+    reviewRow(focusItem, { status });
+    advanceFocus();
+  };
+
+  // A new clean name and its first match are one undo step
+  const focusCreate = (name) => {
+    const existing = referencesRef.current.find(reference => reference.name === name);
+    if (existing) {
+      focusAccept(existing.id);
+      return;
+    }
+    const reference = createReference(name, { id: uniqueReferenceId(name, referenceById) });
+    recordChange(`Added clean name "${name}" for "${focusItem.text}"`, {
+      ...matchesRef.current,
+      [focusItem.id]: createMatch(focusItem.text, reference, { normalize, scorer })
+    }, [...referencesRef.current, reference]);
+    advanceFocus();
+  };
+
+  // --- Handlers: QA ---
+  const qaEligibleIds = () => rawInputs
+    .filter(item => isConfirmedMatch(matchesRef.current[item.id]) && !isSetAside(reviewsRef.current[item.id]))
+    .map(item => item.id);
+
+  const startQa = (size) => {
+    const ids = sampleIds(qaEligibleIds(), size);
+    setQa({ ids, decisions: {}, size: ids.length, startedAt: new Date().toISOString(), by: reviewer });
+  };
+
+  // Accepting verifies the match; rejecting sends the row back to unmatched with a note.
+  // The verdict is part of that step, so undoing it takes the verdict back too.
+  const decideQa = (id, verdict) => {
+    const item = rawById.get(id);
+    const match = matchesRef.current[id];
+    if (!item || !isConfirmedMatch(match)) return;
+    const decision = { [id]: { verdict, refId: match.refId, method: match.method, by: reviewer, at: new Date().toISOString() } };
+    if (verdict === 'accept') {
+      reviewRow(item, { status: 'verified' }, decision);
+      return;
+    }
+    const nextMatches = { ...matchesRef.current };
+    delete nextMatches[id];
+    const previous = reviewsRef.current[id];
+    const review = updateReview(previous, {
+      status: null,
+      refId: null,
+      note: [previous && previous.note, `Rejected in QA: was ${nameOf(match.refId)}`].filter(Boolean).join('\n'),
+      rejected: [...new Set([...((previous && previous.rejected) || []), match.refId])]
+    }, reviewer);
+    recordChange(`QA rejected ${nameOf(match.refId)} for "${item.text}"`, nextMatches, null, setReview(reviewsRef.current, id, review), decision);
+  };
+
+  // --- Handlers: Alias Memory ---
+  useEffect(() => {
+    if (!localStorageBackend) return;
+    localStorageBackend.listAliases()
+      .then(entries => {
+        aliasesRef.current = Object.fromEntries(entries.map(entry => [entry.key, entry]));
+        setAliases(aliasesRef.current);
+      })
+      .catch(err => console.error("Error loading alias memory:", err));
+  }, [localStorageBackend]);
+
+  const storeAliases = (entries, removedKeys = []) => {
+    const next = { ...aliasesRef.current };
+    removedKeys.forEach(key => { delete next[key]; });
+    entries.forEach(entry => { next[entry.key] = entry; });
+    aliasesRef.current = next;
+    setAliases(next);
+    if (!localStorageBackend) return;
+    Promise.all([
+      entries.length > 0 && localStorageBackend.putAliases(entries),
+      removedKeys.length > 0 && localStorageBackend.removeAliases(removedKeys)
+    ]).catch(err => console.error("Error saving alias memory:", err));
+  };
+
+  const rememberAliases = (pairs) => {
+    if (pairs.length > 0) storeAliases(learnAliases(aliasesRef.current, pairs));
+  };
+
+  // Forgets then learns, returning { [key]: { before, after } } for the undo history
+  const reviseAliases = (learned, forgotten) => {
+    const next = { ...aliasesRef.current };
+    const { entries, removedKeys } = forgetAliases(next, forgotten);
+    removedKeys.forEach(key => { delete next[key]; });
+    entries.forEach(entry => { next[entry.key] = entry; });
+    learnAliases(next, learned).forEach(entry => { next[entry.key] = entry; });
+    const changes = diffMatches(aliasesRef.current, next);
+    applyAliasChanges(changes, 'after');
+    return changes;
+  };
+
+  // side is 'before' to undo a step and 'after' to redo it
+  const applyAliasChanges = (changes, side) => {
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return;
+    storeAliases(keys.map(key => changes[key][side]).filter(Boolean), keys.filter(key => !changes[key][side]));
+  };
+
+  // An edited name is looked up afresh, so the old reference id no longer applies
+  const renameAlias = (key, name) =>
+    storeAliases([{ ...aliasesRef.current[key], name, refId: null, updatedAt: new Date().toISOString() }]);
+
+  const forgetAlias = (key) => storeAliases([], [key]);
+
+  const importAliases = (file) => {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const pairs = parseAliasTable(event.target.result);
+      rememberAliases(pairs);
+      flashMessage(`Imported ${pairs.length} aliases.`);
+    };
+    reader.readAsText(file);
+  };
+
+  const exportAliases = () => {
+    const { headers, rows } = buildAliasTable(aliasesRef.current);
+    downloadBlob(EXPORT_FORMATS.csv.build(headers, rows), 'alias_memory.csv');
+  };
+
+  // Remembered matches never replace ones made by hand
+  const applyAliasMemory = async () => {
+    const idByName = new Map(referencesRef.current.map(reference => [reference.name, reference.id]));
+    const remembered = Object.values(aliasesRef.current)
+      .map(entry => ({ raw: entry.raw, refId: resolveAlias(entry, referenceById, idByName) }))
+      .filter(alias => alias.refId);
+    if (remembered.length === 0 || rawInputs.length === 0) return;
+    try {
+      const recalled = await runMatchTask('recall', {
+        existing: matchesRef.current,
+        aliases: remembered,
+        minScore: ALIAS_NEAR_EXACT,
+        constraints
+      });
+      const next = { ...matchesRef.current };
+      let applied = 0;
+      Object.entries(recalled || {}).forEach(([id, match]) => {
+        if (isPinnedMatch(next[id]) || isSetAside(reviewsRef.current[id])) return;
+        next[id] = match;
+        applied++;
+      });
+      recordChange(`Applied ${applied} matches from memory`, next);
+      setMemorySummary(applied);
+    } catch (err) {
+      console.error("Error applying alias memory:", err);
+    }
+  };
+
+  // Runs after an upload, once the engine has the new lists (its effects run first)
+  useEffect(() => {
+    if (!recallPending) return;
+    setRecallPending(false);
+    applyAliasMemory();
+  }, [recallPending]);
+
+  const exportResults = (fileName, format, attributes) => {
+    const { headers, rows } = buildExportTable(rawSource, rawInputs, matches, reviews, referenceById, attributes);
+    const { build, extension } = EXPORT_FORMATS[format];
+    const name = fileName.toLowerCase().endsWith(`.${extension}`) ? fileName : `${fileName}.${extension}`;
+    downloadBlob(build(headers, rows), name);
+    setShowExport(false);
+  };
+
+  const defaultExportName = rawSource
+    ? `${rawSource.fileName.replace(/\.[^.]+$/, '')}_matched`
+    : 'matched_hospitals';
+
+  const exportReport = (format, report) => {
+    const { build, extension } = REPORT_FORMATS[format];
+    const base = rawSource ? rawSource.fileName.replace(/\.[^.]+$/, '') : 'hospitals';
+    downloadBlob(build('Match Quality Report', report.generatedAt, qualityReportSections(report)), `${base}_quality_report.${extension}`);
+  };
 
-  // --- Handlers: File Operations ---
-  const handleRawUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const text = event.target.result;
-      const rows = text.split(/\r?\n/).filter(row => row.trim() !== '');
-      setRawInputs(rows.map((r, i) => ({ id: i, text: r.trim() })));
-    };
-    reader.readAsText(file);
+  // --- Handlers: Sessions ---
+  const flashMessage = (text, isWarning = false) => {
+    setSaveMessage({ text, isWarning });
+    setTimeout(() => setSaveMessage(null), isWarning ? 6000 : 3000);
   };
 
-  const handleCleanListUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const text = event.target.result;
-      const names = text.split(/\r?\n/).filter(row => row.trim() !== '');
-      setCleanNames(prev => [...new Set([...prev, ...names.map(n => n.trim())])]);
-    };
-    reader.readAsText(file);
+  const confirmDiscard = () =>
+    !isDirty || window.confirm('The current session has unsaved changes. Discard them?');
+
+  // Replaces every piece of session state at once
+  const applySession = (kind, id, name, content) => {
+    setRawInputs(content.rawInputs);
+    setRawSource(content.rawSource);
+    setReferences(content.references);
+    setMatches(content.matches);
+    setReviews(content.reviews);
+    setQa(content.qa);
+    setNormalization(content.normalization);
+    setScorer(content.scorer);
+    setConstraints(content.constraints);
+    setAcceptAt(content.acceptAt);
+    setReviewAt(content.reviewAt);
+    claimsRef.current = {};
+    setClaims({});
+    pendingRowsRef.current = new Map();
+    setSavedContent(content);
+    autosavedRef.current = content;
+    setHistory({ past: [], future: [] });
+    setSessionKind(kind);
+    setSessionId(id);
+    setSessionName(name);
   };
 
-  const addCustomCleanName = () => {
-    if (newCleanInput && !cleanNames.includes(newCleanInput)) {
-      setCleanNames(prev => [...prev, newCleanInput]);
-      setSelectedCleanName(newCleanInput);
-      setNewCleanInput('');
+  const refreshSessions = async (kind = managerKind) => {
+    const backend = backendFor(kind);
+    if (!backend) return;
+    setIsListing(true);
+    try {
+      const list = await backend.list();
+      setSessions(list.sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || '')));
+    } catch (err) {
+      console.error("Error listing sessions:", err);
+      flashMessage('Error listing sessions.');
+    } finally {
+      setIsListing(false);
     }
   };
 
-  const bulkAssign = () => {
-    if (!selectedCleanName) return;
-    const newMatches = { ...matches };
-    // Only assign to the filtered results that are currently relevant
-    filteredResults.forEach(item => {
-      newMatches[item.id] = selectedCleanName;
-    });
-    setMatches(newMatches);
+  const openSessions = () => {
+    const kind = backendFor(sessionKind) ? sessionKind : 'local';
+    setManagerKind(kind);
+    setShowSessions(true);
+    refreshSessions(kind);
   };
 
-  const exportResults = () => {
-    const csvContent = "data:text/csv;charset=utf-8," 
-      + "Raw Input,Matched Clean Name\n"
-      + rawInputs.map(item => `"${item.text}","${matches[item.id] || ''}"`).join("\n");
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", "matched_hospitals.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const switchManagerBackend = (kind) => {
+    setManagerKind(kind);
+    setSessions([]);
+    refreshSessions(kind);
   };
 
-  // --- Handlers: Cloud Save/Load ---
   const saveSession = async () => {
-    if (!user) return;
+    const backend = backendFor(sessionKind);
+    if (!backend) return;
     setIsSaving(true);
-    setSaveMessage('');
+    setSaveMessage(null);
     try {
-      const sessionRef = doc(db, 'artifacts', appId, 'users', user.uid, 'hospital_data', 'current_session');
-      // Serialize matches object to ensure safe storage if keys are weird, 
-      // though Firestore handles objects well.
-      await setDoc(sessionRef, {
-        rawInputs,
-        cleanNames,
-        matches,
-        lastUpdated: new Date().toISOString()
-      });
-      setSaveMessage('Saved successfully!');
-      setTimeout(() => setSaveMessage(''), 3000);
+      const id = sessionId || backend.newId();
+      const content = sessionContent;
+      const result = await backend.save(id, toSessionDocument(content, sessionName), author);
+      setSessionId(id);
+      setSavedContent(content);
+      if (backend.kind === 'local') autosavedRef.current = content;
+      if (result && result.conflicts.length > 0) {
+        adoptSharedRows(result.conflicts);
+        flashMessage(`Saved. ${describeRowConflicts(result.conflicts)}`, true);
+      } else {
+        flashMessage('Saved successfully!');
+      }
+      if (showSessions && managerKind === backend.kind) refreshSessions();
     } catch (err) {
       console.error("Error saving:", err);
-      setSaveMessage('Error saving data.');
+      setSaveMessage({ text: err.code === SAVED_ELSEWHERE ? err.message : 'Error saving data.', isWarning: true });
     } finally {
       setIsSaving(false);
     }
   };
 
-  const loadSession = async () => {
-    if (!user) return;
+  const loadSession = async (id) => {
+    const backend = backendFor(managerKind);
+    if (!backend || !confirmDiscard()) return;
     setIsLoading(true);
-    setSaveMessage('');
+    setSaveMessage(null);
     try {
-      const sessionRef = doc(db, 'artifacts', appId, 'users', user.uid, 'hospital_data', 'current_session');
-      const docSnap = await getDoc(sessionRef);
-      
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        if (data.rawInputs) setRawInputs(data.rawInputs);
-        if (data.cleanNames) setCleanNames(data.cleanNames);
-        if (data.matches) setMatches(data.matches);
-        setSaveMessage('Session loaded!');
-        setTimeout(() => setSaveMessage(''), 3000);
+      const data = await backend.load(id, {
+        onProgress: (loaded, total) => setLoadProgress({ loaded, total })
+      });
+
+      if (data) {
+        applySession(backend.kind, id, summarizeSession(id, data).name, fromSessionDocument(data));
+        if (data.claims) {
+          claimsRef.current = data.claims;
+          setClaims(data.claims);
+        }
+        setShowSessions(false);
+        flashMessage('Session loaded!');
       } else {
-        setSaveMessage('No saved session found.');
+        setSaveMessage({ text: 'No saved session found.', isWarning: true });
       }
     } catch (err) {
       console.error("Error loading:", err);
-      setSaveMessage('Error loading data.');
+      setSaveMessage({ text: 'Error loading data.', isWarning: true });
     } finally {
       setIsLoading(false);
+      setLoadProgress(null);
+    }
+  };
+
+  const createSession = async (name) => {
+    const backend = backendFor(managerKind);
+    if (!backend || !confirmDiscard()) return;
+    const id = backend.newId();
+    applySession(backend.kind, id, name, EMPTY_SESSION);
+    try {
+      await backend.save(id, toSessionDocument(EMPTY_SESSION, name));
+      refreshSessions();
+    } catch (err) {
+      console.error("Error creating session:", err);
+      flashMessage('Error creating session.');
+    }
+  };
+
+  const renameSession = async (id, name) => {
+    try {
+      await backendFor(managerKind).rename(id, name);
+      if (id === sessionId && managerKind === sessionKind) setSessionName(name);
+      setSessions(prev => prev.map(session => (session.id === id ? { ...session, name } : session)));
+    } catch (err) {
+      console.error("Error renaming session:", err);
+      flashMessage('Error renaming session.');
+    }
+  };
+
+  // Shared by duplicate (same backend) and copy (the other backend)
+  const copySessionTo = async (id, targetKind, nameFor) => {
+    const source = backendFor(managerKind);
+    const target = backendFor(targetKind);
+    try {
+      const data = await source.load(id);
+      if (!data) return;
+      const { backupOf, claims: sharedClaims, savedBy, savedByName, ...document } = data;
+      await target.save(target.newId(), {
+        ...document,
+        name: nameFor(summarizeSession(id, data).name),
+        lastUpdated: new Date().toISOString()
+      }, author);
+      if (targetKind === managerKind) refreshSessions();
+      else flashMessage(`Copied to ${target.label}.`);
+    } catch (err) {
+      console.error("Error copying session:", err);
+      flashMessage('Error copying session.');
+    }
+  };
+
+  const duplicateSession = (id) => copySessionTo(id, managerKind, name => `${name} (copy)`);
+
+  const copySessionToBackend = (id, kind) => copySessionTo(id, kind, name => name);
+
+  const deleteSession = async (session) => {
+    if (!window.confirm(`Delete "${session.name}"? This cannot be undone.`)) return;
+    try {
+      await backendFor(managerKind).remove(session.id);
+      // The open data stays on screen as an unsaved session
+      if (session.id === sessionId && managerKind === sessionKind) {
+        setSessionId(null);
+        setSavedContent(EMPTY_SESSION);
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      console.error("Error deleting session:", err);
+      flashMessage('Error deleting session.');
+    }
+  };
+
+  const exportSessionFile = async (id) => {
+    try {
+      const data = await backendFor(managerKind).load(id);
+      if (!data) return;
+      const name = summarizeSession(id, data).name;
+      downloadBlob(new Blob([toSessionFile(data)], { type: 'application/json' }), `${name.replace(/[^\w.-]+/g, '_')}.namecleaner.json`);
+    } catch (err) {
+      console.error("Error exporting session file:", err);
+      flashMessage('Error exporting session file.');
+    }
+  };
+
+  // Imported files become a new session in the backend being browsed, then open
+  const importSessionFile = (file) => {
+    const backend = backendFor(managerKind);
+    if (!backend || !confirmDiscard()) return;
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const data = parseSessionFile(event.target.result);
+        const id = backend.newId();
+        const name = summarizeSession(id, data).name;
+        const content = fromSessionDocument(data);
+        await backend.save(id, toSessionDocument(content, name));
+        applySession(backend.kind, id, name, content);
+        setShowSessions(false);
+        flashMessage('Session imported!');
+      } catch (err) {
+        console.error("Error importing session file:", err);
+        flashMessage('Error importing session file.');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // --- Handlers: Shared Sessions ---
+  // Other people's rows replace ours on screen and leave our undo history, so undo never
+  // reverts someone else's work
+  const adoptSharedRows = (rows) => {
+    const nextMatches = { ...matchesRef.current };
+    const nextReviews = { ...reviewsRef.current };
+    const nextClaims = { ...claimsRef.current };
+    const decided = new Set();
+    rows.forEach(({ id, row }) => {
+      if (!sameMatch(nextMatches[id] || null, row.match) || !sameMatch(nextReviews[id] || null, row.review)) decided.add(id);
+      [[nextMatches, row.match], [nextReviews, row.review], [nextClaims, row.claim]].forEach(([byId, value]) => {
+        if (value) byId[id] = value;
+        else delete byId[id];
+      });
+    });
+    claimsRef.current = nextClaims;
+    setClaims(nextClaims);
+    if (decided.size === 0) return;
+    matchesRef.current = nextMatches;
+    setMatches(nextMatches);
+    reviewsRef.current = nextReviews;
+    setReviews(nextReviews);
+    setHistory(prev => withoutRows(prev, decided));
+  };
+
+  // Sends the rows' current match and review; rows that lost to an earlier write are
+  // put back the way the other person left them
+  const shareRows = async (ids) => {
+    const backend = backendFor(sessionKind);
+    if (sessionKind !== 'shared' || !backend || !sessionId || ids.length === 0) return;
+    const pending = pendingRowsRef.current;
+    ids.forEach(id => pending.set(id, (pending.get(id) || 0) + 1));
+    try {
+      const edits = ids.map(id => ({
+        id,
+        fields: { match: matchesRef.current[id] || null, review: reviewsRef.current[id] || null }
+      }));
+      const { conflicts } = await backend.writeRows(sessionId, edits, author);
+      if (conflicts.length > 0) {
+        adoptSharedRows(conflicts);
+        flashMessage(describeRowConflicts(conflicts), true);
+      }
+    } catch (err) {
+      console.error("Error sharing row edits:", err);
+      flashMessage(`${ids.length} row edits weren't shared. Save the session to try again.`, true);
+    } finally {
+      ids.forEach(id => {
+        const count = pending.get(id) - 1;
+        if (count > 0) pending.set(id, count);
+        else pending.delete(id);
+      });
+    }
+  };
+
+  // claim is { uid, name, at } to take rows or null to release them
+  const writeClaims = async (ids, claim) => {
+    if (sessionKind !== 'shared' || !sharedStorageBackend || !sessionId || ids.length === 0) return;
+    try {
+      const edits = ids.map(id => ({ id, fields: { claim } }));
+      const { written, conflicts } = await sharedStorageBackend.writeRows(sessionId, edits, author);
+      adoptSharedRows([...written, ...conflicts]);
+      if (conflicts.length > 0) flashMessage(`${conflicts.length} rows were already claimed by someone else.`, true);
+      else flashMessage(claim ? `Claimed ${written.length} rows.` : `Released ${written.length} rows.`);
+    } catch (err) {
+      console.error("Error updating claims:", err);
+      flashMessage('Error updating claims.', true);
     }
   };
 
+  // The next rows needing a decision in table order, so search and filters pick the slice
+  const claimNextRows = () => !isSearchPending && writeClaims(
+    visibleResults
+      .map(item => String(item.id))
+      .filter(id => needsDecision(id) && !claimsRef.current[id])
+      .slice(0, CLAIM_BATCH),
+    { uid: user.uid, name: reviewer, at: new Date().toISOString() }
+  );
+
+  const releaseClaims = () => writeClaims(
+    Object.keys(claimsRef.current).filter(id => !isClaimedByOther(id)),
+    null
+  );
+
+  const myClaimCount = user ? Object.values(claims).filter(claim => claim.uid === user.uid).length : 0;
+
+  // Live row edits and claims from everyone else in the open shared session
+  useEffect(() => {
+    if (sessionKind !== 'shared' || !sessionId || !sharedStorageBackend) return undefined;
+    return sharedStorageBackend.subscribe(sessionId, {
+      onRows: (rows) => adoptSharedRows(rows.filter(({ id }) => !pendingRowsRef.current.has(id))),
+      onRemoteSave: (head) => flashMessage(`${head.savedByName || 'Someone'} saved changes to the reference list or settings. Reopen the session to pick them up.`, true),
+      onError: (err) => {
+        console.error("Error following shared session:", err);
+        flashMessage('Lost the live connection to the shared session.', true);
+      }
+    });
+  }, [sessionKind, sessionId, sharedStorageBackend]);
+
+  // Autosave to the local backend shortly after edits stop. Local sessions are saved in
+  // place; cloud sessions get a local backup copy under the same id until saved to the cloud.
+  useEffect(() => {
+    if (!localStorageBackend) return undefined;
+    const unchanged = Object.keys(EMPTY_SESSION).every(key => sessionContent[key] === autosavedRef.current[key]);
+    if (unchanged) return undefined;
+    const timer = setTimeout(async () => {
+      const content = sessionContent;
+      const id = sessionId || localStorageBackend.newId();
+      try {
+        await localStorageBackend.save(id, {
+          ...toSessionDocument(content, sessionName),
+          backupOf: sessionKind === 'local' ? null : sessionKind
+        });
+        autosavedRef.current = content;
+        if (!sessionId) setSessionId(id);
+        if (sessionKind === 'local') setSavedContent(content);
+      } catch (err) {
+        console.error("Error autosaving:", err);
+      }
+    }, 1500);
+    return () => clearTimeout(timer);
+    // sessionContent is rebuilt every render; its fields are the real dependencies
+  }, [localStorageBackend, rawInputs, rawSource, references, matches, reviews, qa, normalization, scorer, constraints, acceptAt, reviewAt, sessionId, sessionKind, sessionName]);
+
+  // Warn before closing the tab with unsaved work
+  useEffect(() => {
+    if (!isDirty) return undefined;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [isDirty]);
+
   // --- Logic: Search & Similarity ---
   // Using debouncedTerm instead of searchTerm for heavy calculations
+  // A new term drops the last one's hits, so they never stand in for the new results
+  useEffect(() => {
+    setSearchResults(null);
+  }, [debouncedTerm]);
+
+  // One worker round-trip per debounced search covers both the raw rows and the suggestions.
+  // Data and rule changes are in the deps so the search re-runs against the rebuilt index.
+  useEffect(() => {
+    if (!debouncedTerm) {
+      setSearchResults(null);
+      return undefined;
+    }
+    let isCurrent = true;
+    setIsSearching(true);
+    runMatchTask('search', { term: debouncedTerm, threshold, scorer, constraints })
+      .then(result => {
+        if (isCurrent) setSearchResults(result);
+      })
+      .catch(err => console.error("Error searching:", err))
+      .finally(() => {
+        if (isCurrent) setIsSearching(false);
+      });
+    return () => { isCurrent = false; };
+  }, [runMatchTask, debouncedTerm, threshold, scorer, constraints, rawInputs, references, normalization]);
+
+  const rawById = useMemo(() => new Map(rawInputs.map(item => [item.id, item])), [rawInputs]);
+
+  // Nothing shows while a term's results are on their way, rather than every row
   const filteredResults = useMemo(() => {
     if (!debouncedTerm) return rawInputs;
-    
-    const term = debouncedTerm.toLowerCase();
-    
-    // Performance: If input is huge, this map is heavy.
-    // We do it once per debounce.
-    return rawInputs.map(item => {
-      const text = item.text.toLowerCase();
-      // Optimization: Check keyword match first. If strict match, skip complex score calc if strict is preferred
-      const isKeywordMatch = text.includes(term);
-      
-      // Calculate score only if needed or if keyword match failed
-      const score = getSimilarityScore(term, text);
-      
-      return { ...item, score, isKeywordMatch };
-    }).filter(item => item.isKeywordMatch || item.score >= threshold)
-      .sort((a, b) => b.score - a.score);
-  }, [rawInputs, debouncedTerm, threshold]);
-
-  // Suggest clean names based on search term
-  const suggestedCleanNames = useMemo(() => {
-    if (!debouncedTerm) return cleanNames.sort().slice(0, 50); 
-    
-    const term = debouncedTerm.toLowerCase();
-    return cleanNames
-      .map(name => ({
-        name,
-        score: Math.max(
-          getSimilarityScore(term, name.toLowerCase()),
-          name.toLowerCase().includes(term) ? 0.8 : 0
-        )
-      }))
-      .filter(item => item.score > 0.3)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 20) // Limit suggestions for performance
-      .map(item => item.name);
-  }, [cleanNames, debouncedTerm]);
+    if (!searchResults || !searchResults.filtered) return [];
+    return searchResults.filtered
+      .filter(result => rawById.has(result.id))
+      .map(result => ({ ...rawById.get(result.id), score: result.score, isKeywordMatch: result.isKeywordMatch }));
+  }, [rawInputs, rawById, debouncedTerm, searchResults]);
+
+  // Bulk actions wait for the rows on screen to match what's typed
+  const isSearchPending = isSearching || searchTerm !== debouncedTerm;
+
+  // Suggest references based on search term (names and aliases both count)
+  const suggestedReferences = useMemo(() => {
+    if (!debouncedTerm) return [...references].sort((a, b) => a.name.localeCompare(b.name)).slice(0, 50);
+    return searchResults
+      ? searchResults.suggestions.filter(id => referenceById.has(id)).map(id => referenceById.get(id))
+      : [];
+  }, [references, referenceById, debouncedTerm, searchResults]);
+
+  // Attribute columns found on any reference, offered as extra export columns
+  const attributeOptions = useMemo(() => {
+    const keys = new Set();
+    references.forEach(reference => Object.keys(reference.attributes).forEach(key => keys.add(key)));
+    return [...keys];
+  }, [references]);
+
+  // Clusters are only computed while the cluster view (or a drill-down into it) needs them
+  const needsClusters = viewMode === 'clusters' || clusterFilter !== null;
+  useEffect(() => {
+    if (!needsClusters || rawInputs.length === 0) return undefined;
+    let isCurrent = true;
+    setIsClustering(true);
+    runMatchTask('cluster', { cutoff: clusterCutoff, scorer })
+      .then(result => {
+        if (isCurrent) setClusters(result);
+      })
+      .catch(err => console.error("Error clustering rows:", err))
+      .finally(() => {
+        if (isCurrent) setIsClustering(false);
+      });
+    return () => { isCurrent = false; };
+  }, [runMatchTask, needsClusters, rawInputs, normalization, clusterCutoff, scorer]);
+
+  const activeCluster = useMemo(
+    () => (clusterFilter !== null && clusters ? clusters.find(c => c.key === clusterFilter) || null : null),
+    [clusters, clusterFilter]
+  );
+
+  // Table filters and sorting applied on top of the search results
+  const visibleResults = useMemo(() => {
+    const members = activeCluster && new Set(activeCluster.ids);
+    const { statuses } = STATUS_FILTERS[statusFilter];
+    const assigned = assignedFilter.trim().toLowerCase();
+    const [minScore, maxScore] = scoreRange;
+    const isScoreLimited = minScore > 0 || maxScore < 1;
+    const nameFor = (refId) => (referenceById.has(refId) ? referenceById.get(refId).name : refId);
+    const rows = filteredResults.filter(item => {
+      const match = matches[item.id];
+      if (members && !members.has(item.id)) return false;
+      if (statuses && !statuses.includes(rowStatus(match, reviews[item.id]))) return false;
+      if (methodFilter !== 'all' && (!match || match.method !== methodFilter)) return false;
+      if (assigned && (!match || !nameFor(match.refId).toLowerCase().includes(assigned))) return false;
+      if (isScoreLimited && (!match || match.score === null || match.score < minScore || match.score > maxScore)) return false;
+      if (claimFilter !== 'all') {
+        const claim = claims[item.id];
+        if (claimFilter === 'mine' ? !(claim && user && claim.uid === user.uid) : claim) return false;
+      }
+      return true;
+    });
+    if (!sort.column) return rows;
+    return sortRows(rows, sort, (column, item) => {
+      const match = matches[item.id];
+      if (column === 'text') return item.text;
+      if (column === 'status') return STATUS_ORDER.indexOf(rowStatus(match, reviews[item.id]));
+      if (column === 'assigned') return match ? nameFor(match.refId) : null;
+      return match && match.score !== null ? match.score : null;
+    });
+  }, [filteredResults, matches, reviews, claims, user, referenceById, statusFilter, methodFilter, assignedFilter, scoreRange, sort, claimFilter, activeCluster]);
+
+  // Rows per status across the whole file, for the filter chips
+  const statusFilterCounts = useMemo(() => {
+    const byStatus = Object.fromEntries(STATUS_ORDER.map(status => [status, 0]));
+    rawInputs.forEach(item => { byStatus[rowStatus(matches[item.id], reviews[item.id])]++; });
+    return Object.fromEntries(Object.entries(STATUS_FILTERS).map(([key, { statuses }]) => [
+      key,
+      statuses ? statuses.reduce((sum, status) => sum + byStatus[status], 0) : rawInputs.length
+    ]));
+  }, [rawInputs, matches, reviews]);
+
+  // Clusters with at least one row passing the search and tier filters, with match rollups
+  const visibleClusters = useMemo(() => {
+    if (viewMode !== 'clusters' || !clusters) return [];
+    const visibleIds = new Set(visibleResults.map(item => item.id));
+    return clusters
+      .filter(cluster => cluster.ids.some(id => visibleIds.has(id)))
+      .map(cluster => {
+        const names = new Set();
+        let confirmed = 0;
+        cluster.ids.forEach(id => {
+          if (matches[id]) names.add(matches[id].refId);
+          if (isConfirmedMatch(matches[id])) confirmed++;
+        });
+        const texts = [...new Set(cluster.ids.filter(id => rawById.has(id)).map(id => rawById.get(id).text))];
+        return { ...cluster, texts, names: [...names], confirmed };
+      });
+  }, [viewMode, clusters, visibleResults, matches, rawById]);
+
+  // Clusters can briefly outlive their rows while a new file is being indexed
+  const clusterLabel = (cluster) => (rawById.has(cluster.ids[0]) ? rawById.get(cluster.ids[0]).text : cluster.key);
+
+  const listKeys = useMemo(
+    () => (viewMode === 'clusters' ? visibleClusters.map(cluster => cluster.key) : visibleResults.map(item => item.id)),
+    [viewMode, visibleClusters, visibleResults]
+  );
+  const virtual = useVirtualList(listKeys);
+  const { scrollToTop } = virtual;
+
+  // Back to the top whenever the rows being listed change meaning
+  useEffect(() => {
+    scrollToTop();
+  }, [scrollToTop, debouncedTerm, threshold, statusFilter, methodFilter, assignedFilter, scoreRange, sort, scorer, viewMode, clusterFilter]);
+
+  // Top candidates for the rows currently rendered, fetched in one request per window.
+  // Clusters are ranked by their leading row. Joined into a string so the effect only
+  // re-runs when the rendered rows actually change.
+  const pageIds = (viewMode === 'clusters'
+    ? visibleClusters.slice(virtual.start, virtual.end).map(cluster => cluster.ids[0])
+    : visibleResults.slice(virtual.start, virtual.end).map(item => item.id)
+  ).join(',');
+  useEffect(() => {
+    if (!pageIds || references.length === 0) {
+      setRowCandidates({});
+      return undefined;
+    }
+    let isCurrent = true;
+    runMatchTask('candidates', { ids: pageIds.split(',').map(Number), scorer, limit: 5, constraints })
+      .then(result => {
+        if (isCurrent && result) setRowCandidates(result);
+      })
+      .catch(err => console.error("Error ranking candidates:", err));
+    return () => { isCurrent = false; };
+  }, [runMatchTask, pageIds, scorer, constraints, references, normalization]);
+
+  // Up to nine candidates for the row in keyboard mode, one per number key
+  useEffect(() => {
+    setFocusCandidates(null);
+    if (!focusItem || references.length === 0) {
+      if (focusItem) setFocusCandidates([]);
+      return undefined;
+    }
+    let isCurrent = true;
+    runMatchTask('candidates', { ids: [focusItem.id], scorer, limit: 9, constraints })
+      .then(result => {
+        if (isCurrent) setFocusCandidates((result && result[focusItem.id]) || []);
+      })
+      .catch(err => console.error("Error ranking candidates:", err));
+    return () => { isCurrent = false; };
+  }, [runMatchTask, focusItem, scorer, constraints, references, normalization]);
+
+  const methodCounts = useMemo(() => {
+    const counts = { auto: 0, suggested: 0, manual: 0, memory: 0 };
+    Object.values(matches).forEach(match => { counts[match.method]++; });
+    return counts;
+  }, [matches]);
+
+  const matchedCount = methodCounts.auto + methodCounts.manual + methodCounts.memory;
+
+  const statusCounts = useMemo(() => {
+    const counts = { verified: 0, setAside: 0 };
+    Object.entries(reviews).forEach(([id, review]) => {
+      if (isSetAside(review)) counts.setAside++;
+      else if (rowStatus(matches[id], review) === 'verified') counts.verified++;
+    });
+    return counts;
+  }, [reviews, matches]);
+
+  // Setting a row aside clears its match, so every confirmed match can be sampled
+  const qaEligibleCount = matchedCount;
 
+  // Rows set aside as unresolvable or not a facility are finished too
   const progress = rawInputs.length > 0 
-    ? (Object.keys(matches).length / rawInputs.length) * 100 
+    ? ((matchedCount + statusCounts.setAside) / rawInputs.length) * 100 
     : 0;
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 font-sans p-4 md:p-8">
+      {pendingImport && (
+        <ColumnPicker
+          pending={pendingImport}
+          onReparse={reparsePendingImport}
+          onChange={(patch) => setPendingImport(prev => ({ ...prev, ...patch }))}
+          onCancel={() => setPendingImport(null)}
+          onConfirm={confirmImport}
+        />
+      )}
+      {showSessions && (
+        <SessionManager
+          backends={backends}
+          activeKind={managerKind}
+          sessions={sessions}
+          currentId={managerKind === sessionKind ? sessionId : null}
+          isListing={isListing}
+          loadProgress={loadProgress}
+          onSwitchBackend={switchManagerBackend}
+          onCreate={createSession}
+          onImportFile={importSessionFile}
+          onLoad={loadSession}
+          onRename={renameSession}
+          onDuplicate={duplicateSession}
+          onCopy={copySessionToBackend}
+          onExportFile={exportSessionFile}
+          onDelete={deleteSession}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+      {showReferenceEditor && (
+        <ReferenceListEditor
+          references={references}
+          referenceById={referenceById}
+          usage={referenceUsage}
+          onRename={renameCleanName}
+          onDelete={deleteCleanName}
+          onMerge={mergeReferencesInto}
+          onFindDuplicates={(cutoff) => runMatchTask('similarReferences', { cutoff, scorer })}
+          onClose={() => setShowReferenceEditor(false)}
+        />
+      )}
+      {showAliases && (
+        <AliasManager
+          aliases={aliases}
+          onRename={renameAlias}
+          onDelete={forgetAlias}
+          onImport={importAliases}
+          onExport={exportAliases}
+          onClose={() => setShowAliases(false)}
+        />
+      )}
+      {showQa && (
+        <QaPanel
+          qa={qa}
+          eligibleCount={qaEligibleCount}
+          rawById={rawById}
+          matches={matches}
+          reviewer={reviewer}
+          labelOf={labelOf}
+          onStart={startQa}
+          onDecide={decideQa}
+          onReset={() => setQa(null)}
+          onClose={() => setShowQa(false)}
+        />
+      )}
+      {showReport && (
+        <QualityReport
+          rawInputs={rawInputs}
+          matches={matches}
+          reviews={reviews}
+          references={references}
+          onInspect={(text) => {
+            drillInto('all');
+            setSearchTerm(text);
+            setShowReport(false);
+          }}
+          onExport={exportReport}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+      {showExport && (
+        <ExportDialog
+          defaultFileName={defaultExportName}
+          rowCount={rawSource && rawSource.rows ? rawSource.rows.length : rawInputs.length}
+          attributeOptions={attributeOptions}
+          onCancel={() => setShowExport(false)}
+          onExport={exportResults}
+        />
+      )}
       <div className="max-w-7xl mx-auto">
         {/* Header */}
         <header className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-8 bg-white p-6 rounded-2xl shadow-sm border border-slate-200">
@@ -275,30 +4623,57 @@ const App = () => {
           </div>
           
           <div className="flex items-center gap-3">
-             {/* Cloud Controls */}
+             {/* Session Controls */}
             <div className="flex items-center gap-2 mr-4 bg-slate-50 p-1.5 rounded-lg border border-slate-100">
               <button
                 onClick={saveSession}
-                disabled={isSaving || !user || rawInputs.length === 0}
+                disabled={isSaving || !backendFor(sessionKind) || rawInputs.length === 0}
                 className="flex items-center gap-2 px-3 py-1.5 text-xs font-semibold text-slate-600 hover:text-blue-600 hover:bg-white rounded-md transition-all disabled:opacity-50"
               >
-                {isSaving ? <Loader2 className="animate-spin" size={14} /> : <Cloud size={14} />}
+                {isSaving ? <Loader2 className="animate-spin" size={14} /> : <BackendIcon kind={sessionKind} size={14} />}
                 Save Session
               </button>
+              <span className="text-xs text-slate-500 max-w-[10rem] truncate" title={sessionName}>
+                {sessionName}{isDirty && <span className="text-amber-500" title="Unsaved changes"> &bull;</span>}
+              </span>
+              {sessionKind === 'shared' && sessionId && (
+                <span className="text-[10px] font-bold text-green-600 uppercase" title="Matches, reviews and claims sync live with everyone in this session">
+                  Live
+                </span>
+              )}
               <div className="w-px h-4 bg-slate-300"></div>
               <button
-                onClick={loadSession}
-                disabled={isLoading || !user}
+                onClick={openSessions}
+                disabled={isLoading || backends.length === 0}
                 className="flex items-center gap-2 px-3 py-1.5 text-xs font-semibold text-slate-600 hover:text-blue-600 hover:bg-white rounded-md transition-all disabled:opacity-50"
               >
                 {isLoading ? <Loader2 className="animate-spin" size={14} /> : <CloudDownload size={14} />}
-                Load Last
+                {loadProgress && loadProgress.total > 0 ? `Loading ${loadProgress.loaded}/${loadProgress.total}` : 'Sessions'}
               </button>
             </div>
-            {saveMessage && <span className="text-xs font-bold text-green-600 animate-pulse">{saveMessage}</span>}
+            <input
+              type="text"
+              placeholder="Reviewer name"
+              value={reviewerName}
+              onChange={(e) => setReviewerName(e.target.value)}
+              title="Recorded on every match and review you make"
+              className="w-32 border border-slate-200 rounded-lg px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {saveMessage && (
+              <span className={`text-xs font-bold ${saveMessage.isWarning ? 'text-red-600' : 'text-green-600 animate-pulse'}`}>
+                {saveMessage.text}
+              </span>
+            )}
 
+            <button
+              onClick={() => setShowReport(true)}
+              disabled={rawInputs.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-200 text-slate-600 rounded-lg hover:bg-slate-50 disabled:opacity-50 transition-colors shadow-sm"
+            >
+              <BarChart3 size={18} /> Quality report
+            </button>
             <button 
-              onClick={exportResults}
+              onClick={() => setShowExport(true)}
               disabled={rawInputs.length === 0}
               className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors shadow-sm"
             >
@@ -309,27 +4684,57 @@ const App = () => {
 
         {/* Dashboard Stats */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          <div className="bg-white p-4 rounded-xl border border-slate-200 flex items-center justify-between">
+          <button
+            onClick={() => drillInto('all')}
+            title="Show every row"
+            className="bg-white p-4 rounded-xl border border-slate-200 flex items-center justify-between text-left hover:border-blue-300 transition-colors"
+          >
             <div>
               <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Total Inputs</p>
               <p className="text-2xl font-bold">{rawInputs.length}</p>
             </div>
             <div className="p-3 bg-blue-50 text-blue-600 rounded-full"><Filter size={20} /></div>
-          </div>
+          </button>
           <div className="bg-white p-4 rounded-xl border border-slate-200 flex items-center justify-between">
             <div>
               <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Matched</p>
-              <p className="text-2xl font-bold">{Object.keys(matches).length}</p>
+              <button onClick={() => drillInto('matched')} title="Show matched rows" className="text-2xl font-bold hover:text-blue-600">
+                {matchedCount}
+              </button>
+              {methodCounts.suggested > 0 && (
+                <button onClick={() => drillInto('suggested')} className="block text-[10px] font-bold text-amber-600 uppercase hover:underline">
+                  {methodCounts.suggested} awaiting review
+                </button>
+              )}
+              {(statusCounts.verified > 0 || statusCounts.setAside > 0) && (
+                <p className="text-[10px] font-bold text-slate-400 uppercase">
+                  {statusCounts.verified} verified &middot; {statusCounts.setAside} set aside
+                </p>
+              )}
+              <button
+                onClick={() => setShowQa(true)}
+                disabled={!qa && qaEligibleCount === 0}
+                className="mt-1 flex items-center gap-1 text-[10px] font-bold text-teal-600 hover:text-teal-800 uppercase disabled:opacity-40"
+              >
+                <ClipboardCheck size={12} /> {qa ? 'Continue QA' : 'QA review'}
+              </button>
             </div>
             <div className="p-3 bg-green-50 text-green-600 rounded-full"><CheckCircle2 size={20} /></div>
           </div>
-          <div className="bg-white p-4 rounded-xl border border-slate-200">
+          <button
+            onClick={() => drillInto('remaining')}
+            title="Show the rows still needing a decision"
+            className="bg-white p-4 rounded-xl border border-slate-200 text-left hover:border-blue-300 transition-colors"
+          >
             <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Completion</p>
             <div className="w-full bg-slate-100 rounded-full h-2.5">
               <div className="bg-blue-600 h-2.5 rounded-full transition-all duration-500" style={{ width: `${progress}%` }}></div>
             </div>
-            <p className="text-right text-xs mt-1 font-medium">{Math.round(progress)}%</p>
-          </div>
+            <p className="flex justify-between text-xs mt-1 font-medium">
+              <span className="text-slate-400">{statusFilterCounts.remaining} remaining</span>
+              {Math.round(progress)}%
+            </p>
+          </button>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
@@ -344,12 +4749,26 @@ const App = () => {
               </h2>
               <div className="space-y-4">
                 <div>
-                  <label className="block text-xs font-medium text-slate-500 mb-1">Raw Inputs (CSV)</label>
-                  <input type="file" accept=".csv,.txt" onChange={handleRawUpload} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 cursor-pointer" />
+                  <label className="block text-xs font-medium text-slate-500 mb-1">Raw Inputs (CSV/TSV)</label>
+                  <input type="file" accept=".csv,.tsv,.txt" onChange={handleRawUpload} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100 cursor-pointer" />
+                  {rawSource && (
+                    <p className="text-[10px] text-slate-400 mt-1">
+                      {rawSource.fileName} &middot; name column <span className="font-bold">{rawSource.nameColumn}</span>
+                      {rawSource.passthroughColumns.length > 0 && ` · carrying ${rawSource.passthroughColumns.join(', ')}`}
+                    </p>
+                  )}
                 </div>
                 <div>
                   <label className="block text-xs font-medium text-slate-500 mb-1">Clean Reference List (TXT/CSV)</label>
-                  <input type="file" accept=".csv,.txt" onChange={handleCleanListUpload} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-slate-50 file:text-slate-700 hover:file:bg-slate-100 cursor-pointer" />
+                  <input type="file" accept=".csv,.tsv,.txt" onChange={handleCleanListUpload} className="block w-full text-sm text-slate-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-slate-50 file:text-slate-700 hover:file:bg-slate-100 cursor-pointer" />
+                  {references.length > 0 && (
+                    <button
+                      onClick={() => setShowReferenceEditor(true)}
+                      className="mt-2 flex items-center gap-1 text-xs font-semibold text-blue-600 hover:text-blue-800"
+                    >
+                      <ListChecks size={14} /> Edit reference list ({references.length} names)
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -366,16 +4785,23 @@ const App = () => {
                     {debouncedTerm ? `Suggestions for "${debouncedTerm}"` : "Master Name List"}
                   </label>
                   <div className="max-h-48 overflow-y-auto border border-slate-200 rounded-lg p-1 bg-slate-50 space-y-1">
-                    {suggestedCleanNames.length > 0 ? (
-                      suggestedCleanNames.map(name => (
-                        <button
-                          key={name}
-                          onClick={() => setSelectedCleanName(name)}
-                          className={`w-full text-left px-3 py-2 text-xs rounded-md transition-colors ${selectedCleanName === name ? 'bg-blue-600 text-white shadow-sm' : 'hover:bg-white text-slate-700'}`}
-                        >
-                          {name}
-                        </button>
-                      ))
+                    {suggestedReferences.length > 0 ? (
+                      suggestedReferences.map(reference => {
+                        const isSelected = selectedRefId === reference.id;
+                        const location = describeLocation(reference);
+                        return (
+                          <button
+                            key={reference.id}
+                            onClick={() => setSelectedRefId(reference.id)}
+                            className={`w-full text-left px-3 py-2 text-xs rounded-md transition-colors ${isSelected ? 'bg-blue-600 text-white shadow-sm' : 'hover:bg-white text-slate-700'}`}
+                          >
+                            {reference.name}
+                            {location && (
+                              <span className={`block text-[10px] ${isSelected ? 'text-blue-100' : 'text-slate-400'}`}>{location}</span>
+                            )}
+                          </button>
+                        );
+                      })
                     ) : (
                       <div className="p-3 text-center text-xs text-slate-400">No matching clean names found</div>
                     )}
@@ -397,24 +4823,136 @@ const App = () => {
 
                 <button 
                   onClick={bulkAssign}
-                  disabled={!selectedCleanName || filteredResults.length === 0}
+                  disabled={!selectedRefId || visibleResults.length === 0 || isSearchPending}
                   className="w-full py-3 bg-blue-600 text-white rounded-xl font-semibold hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400 transition-all shadow-md active:scale-95 flex items-center justify-center gap-2"
                 >
-                  Match {filteredResults.length} Current Results
+                  Match {visibleResults.length} Current Results
                 </button>
-                {selectedCleanName && (
+                <button
+                  onClick={bulkUnmatch}
+                  disabled={!visibleResults.some(item => matches[item.id]) || isSearchPending}
+                  className="w-full py-2 text-xs font-semibold text-slate-500 rounded-xl border border-slate-200 hover:bg-slate-50 hover:text-red-600 disabled:opacity-40 transition-colors"
+                >
+                  Unmatch {visibleResults.filter(item => matches[item.id]).length} Current Results
+                </button>
+                {selectedRefId && (
                   <p className="text-[10px] text-center text-blue-600 font-bold">
-                    Target: {selectedCleanName}
+                    Target: {labelOf(selectedRefId)}
                   </p>
                 )}
               </div>
             </div>
 
+            {/* Undo History */}
+            <HistoryPanel
+              past={history.past}
+              future={history.future}
+              rawById={rawById}
+              referenceById={referenceById}
+              onUndo={undo}
+              onRedo={redo}
+            />
+
+            {/* Auto-match */}
+            <div className="bg-white p-5 rounded-2xl shadow-sm border border-slate-200">
+              <h2 className="font-semibold mb-4 text-slate-700 flex items-center gap-2">
+                <Wand2 size={18} className="text-amber-500" /> Auto-match
+              </h2>
+              <label className="block text-xs font-medium text-slate-500 mb-2">Auto-accept at: {Math.round(acceptAt * 100)}%</label>
+              <input
+                type="range"
+                min="0.5"
+                max="1"
+                step="0.01"
+                value={acceptAt}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  setAcceptAt(value);
+                  if (reviewAt > value) setReviewAt(value);
+                }}
+                className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-green-600"
+              />
+              <label className="block text-xs font-medium text-slate-500 mt-3 mb-2">Suggest for review at: {Math.round(reviewAt * 100)}%</label>
+              <input
+                type="range"
+                min="0.3"
+                max={acceptAt}
+                step="0.01"
+                value={reviewAt}
+                onChange={(e) => setReviewAt(parseFloat(e.target.value))}
+                className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-amber-500"
+              />
+              <button
+                onClick={runAutoMatch}
+                disabled={isAutoMatching || rawInputs.length === 0 || references.length === 0}
+                className="w-full mt-4 py-2.5 bg-amber-500 text-white rounded-xl font-semibold hover:bg-amber-600 disabled:bg-slate-200 disabled:text-slate-400 transition-all flex items-center justify-center gap-2"
+              >
+                {isAutoMatching ? <Loader2 className="animate-spin" size={16} /> : <Wand2 size={16} />}
+                Auto-match Unreviewed Rows
+              </button>
+              {autoMatchSummary && (
+                <p className="text-[10px] text-center text-slate-500 font-bold mt-2">
+                  {autoMatchSummary.auto} accepted &middot; {autoMatchSummary.suggested} suggested &middot; {autoMatchSummary.unmatched} left unmatched
+                </p>
+              )}
+            </div>
+
+            {/* Alias Memory */}
+            {localStorageBackend && (
+              <div className="bg-white p-5 rounded-2xl shadow-sm border border-slate-200">
+                <h2 className="font-semibold mb-2 text-slate-700 flex items-center gap-2">
+                  <BookMarked size={18} className="text-purple-500" /> Alias Memory
+                </h2>
+                <p className="text-xs text-slate-500 mb-4">
+                  {Object.keys(aliases).length} remembered spellings. Confirmed matches are learned and reapplied on upload.
+                </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={applyAliasMemory}
+                    disabled={rawInputs.length === 0 || references.length === 0 || Object.keys(aliases).length === 0}
+                    className="flex-1 py-2 bg-purple-600 text-white rounded-xl text-sm font-semibold hover:bg-purple-700 disabled:bg-slate-200 disabled:text-slate-400 transition-all"
+                  >
+                    Apply to Rows
+                  </button>
+                  <button
+                    onClick={() => setShowAliases(true)}
+                    className="flex-1 py-2 border border-slate-200 text-slate-600 rounded-xl text-sm font-semibold hover:bg-slate-50 transition-all"
+                  >
+                    Browse &amp; Edit
+                  </button>
+                </div>
+                {memorySummary !== null && (
+                  <p className="text-[10px] text-center text-slate-500 font-bold mt-2">
+                    {memorySummary} rows matched from memory
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Normalization Rules */}
+            <NormalizationSettings rules={normalization} onChange={setNormalization} normalize={normalize} />
+            <ConstraintSettings
+              constraints={constraints}
+              onChange={setConstraints}
+              fields={rawSource ? rawSource.passthroughColumns : []}
+              attributes={attributeOptions}
+            />
+
             {/* Similarity Settings */}
             <div className="bg-white p-5 rounded-2xl shadow-sm border border-slate-200">
               <h2 className="font-semibold mb-4 text-slate-700 flex items-center gap-2">
                 <Sparkles size={18} className="text-purple-500" /> Smart Suggestions
               </h2>
+              <label className="block text-xs font-medium text-slate-500 mb-1">Similarity Algorithm</label>
+              <select
+                value={scorer}
+                onChange={(e) => setScorer(e.target.value)}
+                className="w-full border border-slate-200 rounded-lg p-2 text-sm mb-4 focus:ring-2 focus:ring-blue-500 outline-none"
+              >
+                {Object.entries(SCORERS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
               <label className="block text-xs font-medium text-slate-500 mb-2">Fuzzy Matching Threshold: {Math.round(threshold * 100)}%</label>
               <input 
                 type="range" 
@@ -445,6 +4983,9 @@ const App = () => {
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full pl-12 pr-4 py-4 bg-white border border-slate-200 rounded-2xl shadow-sm focus:ring-4 focus:ring-blue-500/10 focus:border-blue-500 outline-none transition-all text-lg"
               />
+              {isSearchPending && searchTerm && (
+                <Loader2 className="absolute right-16 top-1/2 -translate-y-1/2 text-slate-300 animate-spin" size={16} />
+              )}
               {searchTerm && (
                 <button 
                   onClick={() => setSearchTerm('')}
@@ -455,30 +4996,319 @@ const App = () => {
               )}
             </div>
 
+            {/* Table Filters */}
+            {rawInputs.length > 0 && (
+              <div className="space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(STATUS_FILTERS).map(([key, { label }]) => (
+                    <button
+                      key={key}
+                      onClick={() => setStatusFilter(key)}
+                      className={`px-3 py-1.5 text-xs font-semibold rounded-full border transition-colors ${statusFilter === key ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+                    >
+                      {label} ({statusFilterCounts[key]})
+                    </button>
+                  ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-3 text-xs">
+                  <select
+                    value={methodFilter}
+                    onChange={(e) => setMethodFilter(e.target.value)}
+                    className="border border-slate-200 rounded-lg p-1.5 bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="all">Any method</option>
+                    {['auto', 'manual', 'memory'].map(method => (
+                      <option key={method} value={method}>{MATCH_METHODS[method].label} ({methodCounts[method]})</option>
+                    ))}
+                  </select>
+                  {sessionKind === 'shared' && (
+                    <select
+                      value={claimFilter}
+                      onChange={(e) => setClaimFilter(e.target.value)}
+                      className="border border-slate-200 rounded-lg p-1.5 bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="all">Anyone's rows</option>
+                      <option value="mine">My claims ({myClaimCount})</option>
+                      <option value="unclaimed">Unclaimed</option>
+                    </select>
+                  )}
+                  <input
+                    type="text"
+                    placeholder="Assigned name contains..."
+                    value={assignedFilter}
+                    onChange={(e) => setAssignedFilter(e.target.value)}
+                    className="w-48 border border-slate-200 rounded-lg p-1.5 outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <label className="flex items-center gap-1 text-slate-500">
+                    Score
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={Math.round(scoreRange[0] * 100)}
+                      onChange={(e) => {
+                        const low = Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100;
+                        setScoreRange(([, high]) => [Math.min(low, high), high]);
+                      }}
+                      className="w-14 border border-slate-200 rounded-lg p-1.5 outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    &ndash;
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={Math.round(scoreRange[1] * 100)}
+                      onChange={(e) => {
+                        const high = Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100;
+                        setScoreRange(([low]) => [low, Math.max(low, high)]);
+                      }}
+                      className="w-14 border border-slate-200 rounded-lg p-1.5 outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    %
+                  </label>
+                  <span className="text-slate-400">{visibleResults.length} rows</span>
+                  {filtersActive && (
+                    <button
+                      onClick={() => resetFilters()}
+                      className="text-slate-400 hover:text-slate-600 underline"
+                    >
+                      Reset filters
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Row / Cluster View */}
+            {rawInputs.length > 0 && (
+              <div className="flex flex-wrap items-center gap-3">
+                <div className="flex bg-slate-100 p-1 rounded-lg">
+                  {[['rows', 'Rows'], ['clusters', 'Duplicate Clusters']].map(([key, label]) => (
+                    <button
+                      key={key}
+                      onClick={() => setViewMode(key)}
+                      className={`px-3 py-1 text-xs font-semibold rounded-md transition-colors ${viewMode === key ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {viewMode === 'clusters' && (
+                  <label className="flex items-center gap-2 text-xs font-medium text-slate-500">
+                    Group near-duplicates at {clusterCutoff >= 1 ? 'exact only' : `${Math.round(clusterCutoff * 100)}%`}
+                    <input
+                      type="range"
+                      min="0.7"
+                      max="1"
+                      step="0.01"
+                      value={clusterCutoff}
+                      onChange={(e) => setClusterCutoff(parseFloat(e.target.value))}
+                      className="w-32 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                    />
+                    {isClustering && <Loader2 className="animate-spin text-slate-300" size={14} />}
+                  </label>
+                )}
+                {!focus && (
+                  <button
+                    onClick={startFocus}
+                    className="flex items-center gap-1 px-3 py-1 text-xs font-semibold text-blue-600 rounded-lg border border-blue-200 hover:bg-blue-50"
+                  >
+                    <Keyboard size={14} /> Keyboard matching
+                  </button>
+                )}
+                {sessionKind === 'shared' && sessionId && user && (
+                  <>
+                    <button
+                      onClick={claimNextRows}
+                      disabled={isSearchPending}
+                      title="Claim the next rows needing a decision in this view; other people's bulk actions and keyboard matching pass them by"
+                      className="flex items-center gap-1 px-3 py-1 text-xs font-semibold text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50 disabled:opacity-40"
+                    >
+                      <Lock size={14} /> Claim next {CLAIM_BATCH}
+                    </button>
+                    {myClaimCount > 0 && (
+                      <button
+                        onClick={releaseClaims}
+                        className="px-3 py-1 text-xs font-semibold text-slate-500 rounded-lg hover:bg-slate-100"
+                      >
+                        Release my {myClaimCount} claims
+                      </button>
+                    )}
+                  </>
+                )}
+                {viewMode === 'rows' && activeCluster && (
+                  <span className="inline-flex items-center gap-2 px-3 py-1 bg-blue-50 border border-blue-200 text-blue-700 rounded-full text-xs font-semibold">
+                    Cluster: {clusterLabel(activeCluster)} ({activeCluster.ids.length} rows)
+                    <button onClick={() => setClusterFilter(null)} title="Show all rows" className="hover:text-blue-900">
+                      <X size={12} />
+                    </button>
+                  </span>
+                )}
+              </div>
+            )}
+
+            {/* Keyboard Matching */}
+            {focus && (
+              <FocusMatcher
+                item={focusItem}
+                match={focusItem ? matches[focusItem.id] : null}
+                candidates={focusCandidates}
+                labelOf={labelOf}
+                remaining={visibleResults.filter(item => !isConfirmedMatch(matches[item.id]) && !isSetAside(reviews[item.id])).length}
+                progress={progress}
+                canGoBack={focus.trail.length > 0}
+                isPaused={Boolean(pendingImport || showExport || showQa || showReport || showSessions || showAliases || showReferenceEditor)}
+                onAccept={focusAccept}
+                onAcceptSuggestion={focusAcceptSuggestion}
+                onSkip={() => advanceFocus({ skip: true })}
+                onSetAside={focusSetAside}
+                onCreate={focusCreate}
+                onBack={focusBack}
+                onClose={() => setFocus(null)}
+              />
+            )}
+
             {/* Results List */}
             <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
-              <div className="max-h-[70vh] overflow-y-auto">
+              <div ref={virtual.containerRef} onScroll={virtual.onScroll} className="max-h-[70vh] overflow-y-auto">
                 {rawInputs.length === 0 ? (
                   <div className="p-20 text-center text-slate-400">
                     <Upload className="mx-auto mb-4 opacity-20" size={48} />
                     <p>Upload a CSV to begin matching</p>
                   </div>
-                ) : (
+                ) : viewMode === 'clusters' ? (
                   <>
                     <table className="w-full text-left border-collapse">
                       <thead className="bg-slate-50 sticky top-0 z-10">
                         <tr>
-                          <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider">Raw Input (Click to Search)</th>
-                          <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider text-center">Status</th>
+                          <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider">Cluster</th>
+                          <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider text-center">Matched</th>
                           <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider">Assigned Clean Name</th>
                           <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider text-right">Action</th>
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-slate-100">
-                        {filteredResults.slice(0, displayLimit).map((item) => {
-                          const isMatched = matches[item.id];
+                        {virtual.padTop > 0 && <tr style={{ height: virtual.padTop }} />}
+                        {visibleClusters.slice(virtual.start, virtual.end).map((cluster) => {
+                          const leaderId = cluster.ids[0];
+                          const isMatched = cluster.confirmed === cluster.ids.length;
+                          return (
+                            <tr
+                              key={cluster.key}
+                              ref={(element) => virtual.measure(cluster.key, element)}
+                              className={`hover:bg-blue-50/40 transition-colors ${isMatched ? 'bg-green-50/10' : ''}`}
+                            >
+                              <td className="px-6 py-4">
+                                <div className="flex items-center gap-2">
+                                  <button
+                                    onClick={() => setSearchTerm(cluster.texts[0])}
+                                    className="text-sm font-medium text-slate-700 hover:text-blue-600 text-left"
+                                  >
+                                    {cluster.texts[0]}
+                                  </button>
+                                  <span className="px-2 py-0.5 bg-slate-100 text-slate-600 rounded-full text-[10px] font-bold">
+                                    &times;{cluster.ids.length}
+                                  </span>
+                                </div>
+                                {cluster.texts.length > 1 && (
+                                  <p className="text-[10px] text-slate-400 mt-1">
+                                    Also: {cluster.texts.slice(1, 4).join(' · ')}
+                                    {cluster.texts.length > 4 && ` +${cluster.texts.length - 4} more`}
+                                  </p>
+                                )}
+                              </td>
+                              <td className="px-6 py-4 text-center text-xs font-bold text-slate-500">
+                                {isMatched ? (
+                                  <CheckCircle2 className="mx-auto text-green-500" size={18} />
+                                ) : (
+                                  `${cluster.confirmed}/${cluster.ids.length}`
+                                )}
+                              </td>
+                              <td className="px-6 py-4">
+                                {cluster.names.length === 1 ? (
+                                  <span className="inline-flex items-center gap-2 px-3 py-1 bg-white border border-slate-200 rounded-full text-xs font-bold text-slate-700 shadow-sm">
+                                    <ArrowRight size={12} /> {nameOf(cluster.names[0])}
+                                  </span>
+                                ) : cluster.names.length > 1 ? (
+                                  <span className="text-amber-600 text-xs font-semibold">Mixed ({cluster.names.length} names)</span>
+                                ) : (
+                                  <span className="text-slate-400 italic text-xs">Unmatched</span>
+                                )}
+                              </td>
+                              <td className="px-6 py-4 text-right whitespace-nowrap">
+                                <button
+                                  onClick={() => drillIntoCluster(cluster)}
+                                  className="text-slate-500 hover:text-slate-700 font-bold text-xs p-1 rounded hover:bg-slate-100 mr-1"
+                                >
+                                  View rows
+                                </button>
+                                {cluster.names.length > 0 && (
+                                  <button
+                                    onClick={() => unmatchCluster(cluster)}
+                                    className="text-slate-500 hover:text-red-600 font-bold text-xs p-1 rounded hover:bg-red-50 mr-1"
+                                  >
+                                    Unmatch
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => assignCluster(cluster, selectedRefId)}
+                                  disabled={!selectedRefId}
+                                  className="text-blue-600 hover:text-blue-800 font-bold text-xs p-1 rounded hover:bg-blue-100 disabled:opacity-0"
+                                >
+                                  Match all
+                                </button>
+                                {rowCandidates[leaderId] && rowCandidates[leaderId].length > 0 && (
+                                  <select
+                                    value=""
+                                    onChange={(e) => assignCluster(cluster, e.target.value)}
+                                    title="Top candidates for this cluster"
+                                    className="block ml-auto mt-1 max-w-[12rem] border border-slate-200 rounded-md p-1 text-[10px] text-slate-600 bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                                  >
+                                    <option value="">Top candidates&hellip;</option>
+                                    {rowCandidates[leaderId].map(candidate => (
+                                      <option key={candidate.refId} value={candidate.refId}>
+                                        {Math.round(candidate.score * 100)}% &middot; {labelOf(candidate.refId)}
+                                      </option>
+                                    ))}
+                                  </select>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                        {virtual.padBottom > 0 && <tr style={{ height: virtual.padBottom }} />}
+                      </tbody>
+                    </table>
+                    {visibleClusters.length === 0 && (
+                      <div className="p-12 text-center text-slate-400 text-sm">
+                        {isClustering || !clusters ? 'Grouping duplicate rows...' : 'No clusters found for current filters.'}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <table className="w-full text-left border-collapse">
+                      <thead className="bg-slate-50 sticky top-0 z-10">
+                        <tr>
+                          <SortHeader column="text" label="Raw Input (Click to Search)" sort={sort} onSort={setSort} />
+                          <SortHeader column="status" label="Status" sort={sort} onSort={setSort} className="text-center" />
+                          <SortHeader column="assigned" label="Assigned Clean Name" sort={sort} onSort={setSort} />
+                          <SortHeader column="score" label="Score" sort={sort} onSort={setSort} className="text-right" />
+                          <th className="px-6 py-3 text-xs font-bold text-slate-500 uppercase tracking-wider text-right">Action</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-100">
+                        {virtual.padTop > 0 && <tr style={{ height: virtual.padTop }} />}
+                        {visibleResults.slice(virtual.start, virtual.end).map((item) => {
+                          const match = matches[item.id];
+                          const isMatched = isConfirmedMatch(match);
+                          const conflict = match && constraintConflict(item, match.refId);
                           return (
-                            <tr key={item.id} className={`hover:bg-blue-50/40 transition-colors ${isMatched ? 'bg-green-50/10' : ''}`}>
+                            <tr
+                              key={item.id}
+                              ref={(element) => virtual.measure(item.id, element)}
+                              className={`hover:bg-blue-50/40 transition-colors ${isMatched ? 'bg-green-50/10' : ''} ${focusItem && focusItem.id === item.id ? 'ring-2 ring-inset ring-blue-400' : ''}`}
+                            >
                               <td className="px-6 py-4">
                                 <button 
                                   onClick={() => setSearchTerm(item.text)}
@@ -487,59 +5317,113 @@ const App = () => {
                                   {item.text}
                                   <MousePointer2 size={14} className="opacity-0 group-hover:opacity-100 text-blue-400" />
                                 </button>
+                                {claims[item.id] && (
+                                  <div className={`flex items-center gap-1 mt-1 text-[10px] font-bold ${isClaimedByOther(item.id) ? 'text-amber-600' : 'text-blue-500'}`}>
+                                    <Lock size={10} /> {isClaimedByOther(item.id) ? `Claimed by ${claims[item.id].name}` : 'Claimed by you'}
+                                  </div>
+                                )}
+                                {item.fields && Object.keys(item.fields).length > 0 && (
+                                  <div className="flex flex-wrap gap-x-3 mt-1 text-[10px] text-slate-400">
+                                    {Object.entries(item.fields).map(([key, value]) => (
+                                      <span key={key}><span className="font-bold uppercase">{key}:</span> {value}</span>
+                                    ))}
+                                  </div>
+                                )}
                                 {!item.isKeywordMatch && debouncedTerm && (
                                   <div className="text-[10px] text-blue-500 font-bold uppercase mt-1">
-                                    {Math.round(item.score * 100)}% Match
+                                    {Math.round(item.score * 100)}% Match &middot; {SCORERS[scorer].short}
                                   </div>
                                 )}
                               </td>
                               <td className="px-6 py-4 text-center">
-                                {isMatched ? (
-                                  <CheckCircle2 className="mx-auto text-green-500" size={18} />
-                                ) : (
-                                  <AlertCircle className="mx-auto text-slate-300" size={18} />
-                                )}
+                                <ReviewCell
+                                  status={rowStatus(match, reviews[item.id])}
+                                  match={match}
+                                  review={reviews[item.id]}
+                                  onReview={(patch) => reviewRow(item, patch)}
+                                />
                               </td>
                               <td className="px-6 py-4">
-                                {isMatched ? (
-                                  <span className="inline-flex items-center gap-2 px-3 py-1 bg-white border border-green-200 text-green-700 rounded-full text-xs font-bold shadow-sm">
-                                    <ArrowRight size={12} /> {matches[item.id]}
-                                  </span>
+                                {match ? (
+                                  <>
+                                    <span className={`inline-flex items-center gap-2 px-3 py-1 bg-white border rounded-full text-xs font-bold shadow-sm ${MATCH_METHODS[match.method].className}`}>
+                                      <ArrowRight size={12} /> {labelOf(match.refId)}
+                                    </span>
+                                    <div className="text-[10px] text-slate-400 font-bold uppercase mt-1 ml-1">
+                                      {MATCH_METHODS[match.method].label}
+                                      {match.scorer && SCORERS[match.scorer] && ` · ${SCORERS[match.scorer].short}`}
+                                      {match.by && <span className="normal-case font-medium" title={match.at ? new Date(match.at).toLocaleString() : undefined}> &middot; {match.by}</span>}
+                                    </div>
+                                    {conflict && (
+                                      <div className="flex items-center gap-1 text-[10px] text-red-600 font-bold mt-1 ml-1" title="Breaks a 'must match' constraint">
+                                        <AlertTriangle size={12} /> {conflict}
+                                      </div>
+                                    )}
+                                  </>
                                 ) : (
                                   <span className="text-slate-400 italic text-xs">Unmatched</span>
                                 )}
                               </td>
-                              <td className="px-6 py-4 text-right">
+                              <td className="px-6 py-4 text-right text-xs font-bold text-slate-500">
+                                {match && match.score !== null ? `${Math.round(match.score * 100)}%` : ''}
+                              </td>
+                              <td className="px-6 py-4 text-right whitespace-nowrap">
+                                {match && match.method === 'suggested' && (
+                                  <>
+                                    <button
+                                      onClick={() => acceptSuggestion(item)}
+                                      className="text-green-600 hover:text-green-800 font-bold text-xs p-1 rounded hover:bg-green-100"
+                                    >
+                                      Accept
+                                    </button>
+                                    <button
+                                      onClick={() => rejectSuggestion(item)}
+                                      className="text-slate-500 hover:text-slate-700 font-bold text-xs p-1 rounded hover:bg-slate-100 mr-1"
+                                    >
+                                      Reject
+                                    </button>
+                                  </>
+                                )}
+                                {match && match.method !== 'suggested' && (
+                                  <button
+                                    onClick={() => unmatchRow(item)}
+                                    className="text-slate-500 hover:text-red-600 font-bold text-xs p-1 rounded hover:bg-red-50 mr-1"
+                                  >
+                                    Unmatch
+                                  </button>
+                                )}
                                 <button 
-                                  onClick={() => {
-                                    if (selectedCleanName) {
-                                      setMatches(prev => ({ ...prev, [item.id]: selectedCleanName }));
-                                    }
-                                  }}
-                                  disabled={!selectedCleanName}
+                                  onClick={() => matchRow(item)}
+                                  disabled={!selectedRefId}
                                   className="text-blue-600 hover:text-blue-800 font-bold text-xs p-1 rounded hover:bg-blue-100 disabled:opacity-0"
                                 >
                                   Match
                                 </button>
+                                {rowCandidates[item.id] && rowCandidates[item.id].length > 0 && (
+                                  <select
+                                    value=""
+                                    onChange={(e) => assignRow(item, e.target.value)}
+                                    title="Top candidates for this row"
+                                    className="block ml-auto mt-1 max-w-[12rem] border border-slate-200 rounded-md p-1 text-[10px] text-slate-600 bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                                  >
+                                    <option value="">Top candidates&hellip;</option>
+                                    {rowCandidates[item.id].map(candidate => (
+                                      <option key={candidate.refId} value={candidate.refId}>
+                                        {Math.round(candidate.score * 100)}% &middot; {labelOf(candidate.refId)}
+                                      </option>
+                                    ))}
+                                  </select>
+                                )}
                               </td>
                             </tr>
                           );
                         })}
+                        {virtual.padBottom > 0 && <tr style={{ height: virtual.padBottom }} />}
                       </tbody>
                     </table>
-                    {filteredResults.length > displayLimit && (
-                      <div className="p-4 text-center border-t border-slate-100">
-                        <button 
-                          onClick={() => setDisplayLimit(prev => prev + 50)}
-                          className="text-xs font-bold text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-full transition-colors"
-                        >
-                          Show 50 more ({filteredResults.length - displayLimit} remaining)
-                        </button>
-                      </div>
-                    )}
-                    {filteredResults.length === 0 && (
+                    {visibleResults.length === 0 && (
                       <div className="p-12 text-center text-slate-400 text-sm">
-                        No results found for current filters.
+                        {isSearchPending ? 'Searching...' : 'No results found for current filters.'}
                       </div>
                     )}
                   </>
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// --- NameCleaner Batch CLI ---
+// Matches a raw CSV against a reference list with the same engine the app uses, and
+// writes the raw file back out with the match columns the app's export adds.
+//
+//   node cli.mjs --raw raw.csv --reference hospitals.csv --out matched.csv \
+//     [--aliases alias_memory.csv] [--rules rules.json]
+//
+// The rules file is { normalization, scorer, constraints, acceptAt, reviewAt }, every key
+// optional, or a session file saved from the app, whose settings are used.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  SCORERS,
+  DEFAULT_SCORER,
+  DEFAULT_NORMALIZATION,
+  recordsFromRows,
+  mergeReferences,
+  parseCsv,
+  guessNameColumn,
+  guessReferenceColumns,
+  toDelimited,
+  parseAliasTable,
+  DEFAULT_ACCEPT_AT,
+  DEFAULT_REVIEW_AT,
+  rowsFromTable,
+  createMatcher
+} from './matchEngine.mjs';
+
+const USAGE = `Usage: node cli.mjs --raw <file> --reference <file> [options]
+
+Options:
+  --raw <file>                 Raw CSV to match
+  --reference <file>           Reference list CSV: clean names plus optional ID, alias
+                               and attribute columns
+  --aliases <file>             Alias memory CSV, as downloaded from the app
+  --rules <file>               Rules JSON, or a session file saved from the app
+  --name-column <header>       Raw column holding the names (guessed when omitted)
+  --reference-column <header>  Reference column holding the names (guessed when omitted)
+  --accept-at <0-1>            Score at which matches are accepted (default ${DEFAULT_ACCEPT_AT})
+  --review-at <0-1>            Score at which matches are suggested (default ${DEFAULT_REVIEW_AT})
+  --scorer <name>              ${Object.keys(SCORERS).join(', ')}
+  --out <file>                 Matched CSV to write (default: standard output)
+  -h, --help                   Show this help
+`;
+
+const OPTIONS = {
+  raw: { type: 'string' },
+  reference: { type: 'string' },
+  aliases: { type: 'string' },
+  rules: { type: 'string' },
+  'name-column': { type: 'string' },
+  'reference-column': { type: 'string' },
+  'accept-at': { type: 'string' },
+  'review-at': { type: 'string' },
+  scorer: { type: 'string' },
+  out: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// The headers the app's export uses for the same columns
+const MATCH_HEADERS = ['Matched Clean Name', 'Reference ID', 'Match Score', 'Match Method'];
+
+const readText = (path) => readFileSync(path, 'utf8');
+
+const columnIndex = (headers, name, fallback) => {
+  if (name === undefined) return fallback;
+  const index = headers.indexOf(name);
+  if (index === -1) throw new Error(`No column named "${name}" (columns: ${headers.join(', ')})`);
+  return index;
+};
+
+const threshold = (value, fallback, flag) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!(number >= 0 && number <= 1)) throw new Error(`${flag} must be between 0 and 1`);
+  return number;
+};
+
+const readRules = (path) => {
+  if (!path) return {};
+  const parsed = JSON.parse(readText(path));
+  // Session files keep their settings under `session`
+  return parsed && parsed.session ? parsed.session : parsed;
+};
+
+const run = (argv) => {
+  const { values } = parseArgs({ args: argv, options: OPTIONS });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!values.raw || !values.reference) throw new Error(`--raw and --reference are required\n\n${USAGE}`);
+
+  const rules = readRules(values.rules);
+  const scorer = values.scorer || rules.scorer || DEFAULT_SCORER;
+  if (!SCORERS[scorer]) throw new Error(`Unknown scorer "${scorer}"`);
+  const acceptAt = threshold(values['accept-at'] ?? rules.acceptAt, DEFAULT_ACCEPT_AT, '--accept-at');
+  const reviewAt = threshold(values['review-at'] ?? rules.reviewAt, DEFAULT_REVIEW_AT, '--review-at');
+  if (reviewAt > acceptAt) throw new Error('--review-at cannot be above --accept-at');
+
+  // Every other column rides along, as fields on raw rows and attributes on references,
+  // so constraints can name any of them
+  const reference = parseCsv(readText(values.reference));
+  const referenceColumn = columnIndex(reference.headers, values['reference-column'], guessNameColumn(reference.headers, reference.rows));
+  const { idColumn, aliasColumn } = guessReferenceColumns(reference.headers, referenceColumn);
+  const attributeColumns = reference.headers
+    .map((_, c) => c)
+    .filter(c => c !== referenceColumn && c !== idColumn && c !== aliasColumn);
+  const references = mergeReferences([], recordsFromRows(reference.headers, reference.rows, {
+    nameColumn: referenceColumn,
+    idColumn,
+    aliasColumn,
+    attributeColumns
+  }));
+
+  const raw = parseCsv(readText(values.raw));
+  const nameColumn = columnIndex(raw.headers, values['name-column'], guessNameColumn(raw.headers, raw.rows));
+  const rows = rowsFromTable(raw.headers, raw.rows, {
+    nameColumn,
+    fieldColumns: raw.headers.map((_, c) => c).filter(c => c !== nameColumn)
+  });
+
+  const matcher = createMatcher({
+    references,
+    normalization: { ...DEFAULT_NORMALIZATION, ...rules.normalization },
+    scorer,
+    constraints: rules.constraints || []
+  });
+  const aliases = values.aliases ? parseAliasTable(readText(values.aliases)) : [];
+  const { matches, counts } = matcher.match(rows, { acceptAt, reviewAt, aliases });
+
+  const referenceById = new Map(matcher.references.map(r => [r.id, r]));
+  const output = raw.rows.map((cells, i) => {
+    const match = matches[i];
+    if (!match) return [...cells, '', '', '', ''];
+    return [...cells, referenceById.get(match.refId).name, match.refId, Math.round(match.score * 1000) / 1000, match.method];
+  });
+  const csv = `\uFEFF${toDelimited([...raw.headers, ...MATCH_HEADERS], output, ',')}\r\n`;
+  if (values.out) writeFileSync(values.out, csv);
+  else process.stdout.write(csv);
+
+  const matched = counts.auto + counts.memory;
+  process.stderr.write(
+    `Matched ${matched} of ${rows.length} rows against ${references.length} clean names: ` +
+    `${counts.auto} auto, ${counts.memory} from memory, ${counts.suggested} suggested for review, ${counts.unmatched} unmatched\n`
+  );
+};
+
+try {
+  run(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = 1;
+}
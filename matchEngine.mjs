@@ -0,0 +1,1021 @@
+// --- NameCleaner Match Engine ---
+// The normalization, scoring and matching behind both the app and the batch CLI
+// (cli.mjs). Framework-free and without side effects, so the same code runs in the
+// browser, in the app's match worker and under Node, and both give the same answers.
+//
+//   import { createMatcher } from './matchEngine.mjs';
+//   const matcher = createMatcher({ references, normalization, scorer, constraints });
+//   const { matches, counts } = matcher.match(rows, { acceptAt, reviewAt, aliases });
+//   const candidates = matcher.candidates(rows, { limit: 5 });
+//
+// Shapes:
+//   row        { id, text, fields? }    fields are passthrough columns, for constraints
+//   reference  { id, name, aliases, attributes }
+//   match      { refId, method, score, scorer }, method auto | suggested | manual | memory
+//   alias      { raw, name, refId? }    a remembered match, as in the app's alias memory
+//   constraint { field, attribute, mode: 'same' | 'bonus', bonus }
+//
+// The building blocks (createMatchState, autoMatch, rankCandidates, ...) are exported
+// too; handleMatchMessage is the request protocol the app's worker speaks.
+
+// --- Fuzzy String Matching (Levenshtein Distance) ---
+// Two-row DP that bails out once every cell in a row exceeds maxDistance.
+// When it bails it returns maxDistance + 1, which never overstates the true distance.
+export const getLevenshteinDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  const s = a.toLowerCase();
+  const t = b.toLowerCase();
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  let current = new Array(t.length + 1);
+  for (let i = 1; i <= s.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [previous, current] = [current, previous];
+  }
+  return previous[t.length];
+};
+
+// Scores under minScore are cut short; they come back as something below minScore.
+export const getSimilarityScore = (a, b, minScore = 0) => {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1.0;
+  const distance = getLevenshteinDistance(a, b, Math.floor((1 - minScore) * maxLength + 1e-9));
+  return 1.0 - Math.min(distance, maxLength) / maxLength;
+};
+
+// --- Alternative Similarity Scorers ---
+// Every scorer takes two strings and returns 0..1, so they are interchangeable
+const tokenize = (text) => text.toLowerCase().split(/\s+/).filter(Boolean);
+
+// Word order doesn't matter: "Hospital of Saint Raphael" ~ "Saint Raphael Hospital of"
+export const getTokenSortScore = (a, b) =>
+  getSimilarityScore(tokenize(a).sort().join(' '), tokenize(b).sort().join(' '));
+
+// Compares the shared words against each side's leftovers, so extra words are forgiven
+export const getTokenSetScore = (a, b) => {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  const shared = [...tokensA].filter(t => tokensB.has(t)).sort();
+  const onlyA = [...tokensA].filter(t => !tokensB.has(t)).sort();
+  const onlyB = [...tokensB].filter(t => !tokensA.has(t)).sort();
+  const base = shared.join(' ');
+  const withA = [base, ...onlyA].filter(Boolean).join(' ');
+  const withB = [base, ...onlyB].filter(Boolean).join(' ');
+  if (!base) return getSimilarityScore(withA, withB);
+  return Math.max(
+    getSimilarityScore(base, withA),
+    getSimilarityScore(base, withB),
+    getSimilarityScore(withA, withB)
+  );
+};
+
+export const getJaroWinklerScore = (a, b) => {
+  const s1 = a.toLowerCase();
+  const s2 = b.toLowerCase();
+  if (s1 === s2) return 1.0;
+  if (!s1.length || !s2.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(s1.length, s2.length) / 2) - 1);
+  const matched1 = new Array(s1.length).fill(false);
+  const matched2 = new Array(s2.length).fill(false);
+  let matchCount = 0;
+  for (let i = 0; i < s1.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(s2.length, i + window + 1);
+    for (let j = start; j < end; j++) {
+      if (!matched2[j] && s1[i] === s2[j]) {
+        matched1[i] = true;
+        matched2[j] = true;
+        matchCount++;
+        break;
+      }
+    }
+  }
+  if (matchCount === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < s1.length; i++) {
+    if (!matched1[i]) continue;
+    while (!matched2[k]) k++;
+    if (s1[i] !== s2[k]) transpositions++;
+    k++;
+  }
+  const jaro = (
+    matchCount / s1.length +
+    matchCount / s2.length +
+    (matchCount - transpositions / 2) / matchCount
+  ) / 3;
+
+  // Winkler boost for a shared prefix of up to 4 characters
+  let prefix = 0;
+  while (prefix < 4 && s1[prefix] === s2[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const getNgrams = (text, n = 3) => {
+  const padded = ` ${text.toLowerCase()} `;
+  const grams = new Set();
+  for (let i = 0; i <= padded.length - n; i++) grams.add(padded.slice(i, i + n));
+  return grams;
+};
+
+// Jaccard overlap of character trigrams
+export const getTrigramScore = (a, b) => {
+  const gramsA = getNgrams(a);
+  const gramsB = getNgrams(b);
+  if (gramsA.size === 0 && gramsB.size === 0) return 1.0;
+  let shared = 0;
+  gramsA.forEach(g => { if (gramsB.has(g)) shared++; });
+  return shared / (gramsA.size + gramsB.size - shared);
+};
+
+// Weights are inlined rather than shared so the function can be shipped to the match worker
+export const getBlendScore = (a, b) =>
+  0.4 * getTokenSetScore(a, b) +
+  0.3 * getJaroWinklerScore(a, b) +
+  0.3 * getTrigramScore(a, b);
+
+export const SCORERS = {
+  levenshtein: { label: 'Levenshtein', short: 'LEV', score: getSimilarityScore },
+  tokenSort: { label: 'Token sort', short: 'SORT', score: getTokenSortScore },
+  tokenSet: { label: 'Token set', short: 'SET', score: getTokenSetScore },
+  jaroWinkler: { label: 'Jaro-Winkler', short: 'JW', score: getJaroWinklerScore },
+  trigram: { label: 'Trigram (Jaccard)', short: 'TRI', score: getTrigramScore },
+  blend: { label: 'Weighted blend', short: 'BLEND', score: getBlendScore }
+};
+
+export const DEFAULT_SCORER = 'levenshtein';
+
+export const getScorer = (key) => (SCORERS[key] || SCORERS[DEFAULT_SCORER]).score;
+
+// --- Name Normalization ---
+// Rules are plain data so they can be saved with the session and replayed
+export const DEFAULT_NORMALIZATION = {
+  stripPunctuation: true,
+  foldAccents: true,
+  collapseWhitespace: true,
+  expandAbbreviations: true,
+  dropStopwords: false,
+  abbreviations: [
+    { from: 'st', to: 'saint' },
+    { from: 'hosp', to: 'hospital' },
+    { from: 'med ctr', to: 'medical center' },
+    { from: 'univ', to: 'university' },
+    { from: 'ctr', to: 'center' },
+    { from: 'mem', to: 'memorial' },
+    { from: 'reg', to: 'regional' },
+    { from: 'gen', to: 'general' },
+    { from: 'hlth', to: 'health' }
+  ],
+  stopwords: ['the', 'of', 'inc']
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compiles rules into a text -> comparison key function; compile once, call per row
+export const compileNormalizer = (rules = DEFAULT_NORMALIZATION) => {
+  const fold = (text) => (rules.foldAccents ? text.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : text);
+  const prepare = (text) => {
+    let result = fold(text.toLowerCase());
+    if (rules.stripPunctuation) {
+      // Apostrophes join (Mary's -> marys); other punctuation separates words
+      result = result.replace(/['\u2019`]/g, '').replace(/[^\p{L}\p{N}\s]/gu, ' ');
+    }
+    return rules.collapseWhitespace ? result.replace(/\s+/g, ' ').trim() : result;
+  };
+
+  // Longest abbreviations first so "med ctr" wins over "ctr"
+  const abbreviations = (rules.expandAbbreviations ? rules.abbreviations : [])
+    .map(({ from, to }) => ({ from: prepare(from), to: prepare(to) }))
+    .filter(({ from }) => from !== '')
+    .sort((a, b) => b.from.length - a.from.length);
+  const expansions = new Map(abbreviations.map(({ from, to }) => [from, to]));
+  const abbreviationPattern = abbreviations.length > 0
+    ? new RegExp(`(^|\\s)(${abbreviations.map(({ from }) => escapeRegExp(from)).join('|')})\\.?(?=\\s|$)`, 'g')
+    : null;
+  const stopwords = new Set(rules.dropStopwords ? rules.stopwords.map(prepare) : []);
+
+  return (text) => {
+    let result = prepare(text || '');
+    if (abbreviationPattern) {
+      result = result.replace(abbreviationPattern, (_, lead, abbr) => `${lead}${expansions.get(abbr)}`);
+    }
+    if (stopwords.size > 0) {
+      result = result.split(' ').filter(word => !stopwords.has(word)).join(' ');
+    }
+    return result;
+  };
+};
+
+const identity = (text) => text;
+
+// --- Reference Records ---
+// A reference is { id, name, aliases, attributes }. Lists without an ID column use the
+// name as the id, so sessions saved when references were plain strings still line up.
+const ALIAS_SEPARATOR = /\s*[;|]\s*/;
+const LOCATION_ATTRIBUTES = [/^city$/i, /^(state|st)$/i];
+
+export const createReference = (name, { id = name, aliases = [], attributes = {} } = {}) => ({ id, name, aliases, attributes });
+
+export const referenceTerms = (reference) => [reference.name, ...(reference.aliases || [])];
+
+// Stored lists may hold bare strings from before records existed
+export const normalizeReferences = (stored) => (stored || []).map(value => (
+  typeof value === 'string' ? createReference(value) : { aliases: [], attributes: {}, ...value }
+));
+
+export const uniqueReferenceId = (base, taken) => {
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base} #${n}`;
+  return id;
+};
+
+// "City, ST" from whichever attributes look like a location
+export const describeLocation = (reference) => {
+  const attributes = (reference && reference.attributes) || {};
+  const keys = Object.keys(attributes);
+  return LOCATION_ATTRIBUTES
+    .map(pattern => keys.find(key => pattern.test(key)))
+    .filter(key => key && attributes[key])
+    .map(key => attributes[key])
+    .join(', ');
+};
+
+// Column indexes are -1 when the file has no such column
+export const recordsFromRows = (headers, rows, { nameColumn, idColumn, aliasColumn, attributeColumns }) => rows
+  .map(cells => ({
+    name: cells[nameColumn].trim(),
+    id: idColumn === -1 ? '' : cells[idColumn].trim(),
+    aliases: aliasColumn === -1 ? [] : cells[aliasColumn].split(ALIAS_SEPARATOR).filter(Boolean),
+    attributes: Object.fromEntries(attributeColumns.map(c => [headers[c], cells[c]]))
+  }))
+  .filter(record => record.name !== '');
+
+// Incoming records update the reference with the same id and are appended otherwise.
+// Records without an id go by name and location, so the same name in different places
+// stays apart; a file's only record for a name still updates the list's only reference
+// of that name, wherever either is.
+const nameAndPlace = (record) => `${record.name}\u0000${describeLocation(record)}`;
+
+export const mergeReferences = (existing, records) => {
+  const next = [...existing];
+  const byId = new Map(next.map((reference, i) => [reference.id, i]));
+  const byPlace = new Map(next.map((reference, i) => [nameAndPlace(reference), i]));
+  const byName = new Map();
+  next.forEach((reference, i) => byName.set(reference.name, [...(byName.get(reference.name) || []), i]));
+  const nameCounts = new Map();
+  records.filter(record => !record.id).forEach(record => nameCounts.set(record.name, (nameCounts.get(record.name) || 0) + 1));
+  const updated = new Set();
+
+  const indexFor = (record) => {
+    if (record.id) return byId.get(record.id);
+    if (byPlace.has(nameAndPlace(record))) return byPlace.get(nameAndPlace(record));
+    const named = byName.get(record.name) || [];
+    return named.length === 1 && nameCounts.get(record.name) === 1 && !updated.has(named[0]) ? named[0] : undefined;
+  };
+
+  records.forEach(record => {
+    const index = indexFor(record);
+    if (index === undefined) {
+      const id = record.id || uniqueReferenceId(record.name, byId);
+      const reference = createReference(record.name, { id, aliases: record.aliases, attributes: record.attributes });
+      byId.set(id, next.length);
+      byPlace.set(nameAndPlace(reference), next.length);
+      next.push(reference);
+      return;
+    }
+    updated.add(index);
+    const current = next[index];
+    next[index] = {
+      ...current,
+      name: record.name,
+      aliases: [...new Set([...current.aliases, ...record.aliases])].filter(alias => alias !== record.name),
+      attributes: { ...current.attributes, ...record.attributes }
+    };
+  });
+  return next;
+};
+
+// --- Match Records ---
+// A match is { refId, method, score, scorer }; 'suggested' matches still need a reviewer
+// Scored against whichever of the reference's name and aliases is closest
+export const createMatch = (text, reference, { method = 'manual', normalize = identity, scorer = DEFAULT_SCORER } = {}) => {
+  const key = normalize(text);
+  const scoreFn = getScorer(scorer);
+  return {
+    refId: reference.id,
+    method,
+    scorer,
+    score: Math.max(...referenceTerms(reference).map(term => scoreFn(key, normalize(term))))
+  };
+};
+
+export const isConfirmedMatch = (match) => Boolean(match) && match.method !== 'suggested';
+
+// Matches a person made or remembered; automatic passes leave these alone
+export const isPinnedMatch = (match) => Boolean(match) && (match.method === 'manual' || match.method === 'memory');
+
+// Sessions saved before match metadata existed store the bare clean name, and ones
+// saved before reference records store the name where the id now goes
+export const normalizeMatches = (stored) => Object.fromEntries(
+  Object.entries(stored || {}).map(([id, value]) => {
+    if (typeof value === 'string') return [id, { refId: value, method: 'manual', score: null, scorer: null }];
+    if (value.refId !== undefined) return [id, value];
+    const { name, ...rest } = value;
+    return [id, { ...rest, refId: name }];
+  })
+);
+
+// Candidates are { id, key } pairs with the key already normalized.
+// The best score so far is passed down as a floor so bounded scorers can exit early.
+export const findBestMatch = (key, candidates, scoreFn = getSimilarityScore, floor = 0) => {
+  let best = null;
+  candidates.forEach(candidate => {
+    const score = scoreFn(key, candidate.key, best ? best.score : floor);
+    if (!best || score > best.score) best = { id: candidate.id, score };
+  });
+  return best;
+};
+
+// --- Candidate Index & Match Engine ---
+// Everything in this section is pure so it can run in the match worker or, as a
+// fallback, on the main thread. Functions here must only reference each other
+// (see WORKER_FUNCTIONS) - module constants are not available inside the worker.
+
+// Inverted index from character trigram to the positions of the keys containing it
+const buildNgramIndex = (keys) => {
+  const postings = new Map();
+  keys.forEach((key, position) => {
+    getNgrams(key).forEach(gram => {
+      let list = postings.get(gram);
+      if (!list) {
+        list = [];
+        postings.set(gram, list);
+      }
+      list.push(position);
+    });
+  });
+  return { postings, size: keys.length };
+};
+
+// Positions sharing at least minOverlap of the key's trigrams, most shared first.
+// Grams found in a large share of entries ("hos", "spi") say little and cost the most
+// to count, so they are skipped unless the key has nothing rarer.
+const queryNgramIndex = (index, key, { minOverlap = 0.2, limit = Infinity } = {}) => {
+  const present = [...getNgrams(key)]
+    .map(gram => index.postings.get(gram))
+    .filter(Boolean);
+  const cap = Math.max(100, index.size * 0.05);
+  const informative = present.filter(list => list.length <= cap);
+  const lists = informative.length > 0 ? informative : present;
+
+  const counts = new Map();
+  lists.forEach(list => {
+    list.forEach(position => counts.set(position, (counts.get(position) || 0) + 1));
+  });
+  const required = Math.max(1, Math.ceil(lists.length * minOverlap));
+  const hits = [];
+  counts.forEach((count, position) => {
+    if (count >= required) hits.push([position, count]);
+  });
+  hits.sort((x, y) => y[1] - x[1]);
+  return (limit < hits.length ? hits.slice(0, limit) : hits).map(([position]) => position);
+};
+
+// Rules tie a raw passthrough field to a reference attribute: { field, attribute, mode, bonus }.
+// 'same' rules drop candidates whose values differ; 'bonus' rules add to the score when
+// they agree. Values compare without case or punctuation, and ZIP+4 on the first five digits.
+const constraintValue = (value) => {
+  const text = String(value == null ? '' : value).trim().toLowerCase();
+  const zip = /^(\d{5})-?\d{4}$/.exec(text);
+  return zip ? zip[1] : text.replace(/[^a-z0-9]/g, '');
+};
+
+// A rule only applies when both sides have a value, so blank cells never block a match
+export const checkConstraints = (fields, attributes, constraints) => {
+  let bonus = 0;
+  const violations = [];
+  (constraints || []).forEach(rule => {
+    const own = constraintValue(fields && fields[rule.field]);
+    const theirs = constraintValue(attributes && attributes[rule.attribute]);
+    if (!own || !theirs) return;
+    if (rule.mode === 'same' && own !== theirs) violations.push(rule);
+    if (rule.mode === 'bonus' && own === theirs) bonus += rule.bonus;
+  });
+  return { bonus, violations };
+};
+
+// Each reference is indexed under its name and every alias ("terms"); termOwners maps
+// a term back to the position of its reference
+const withReferences = (state, references) => {
+  const termKeys = [];
+  const termOwners = [];
+  references.forEach((reference, position) => {
+    referenceTerms(reference).forEach(term => {
+      const key = state.normalize(term);
+      if (!key) return;
+      termKeys.push(key);
+      termOwners.push(position);
+    });
+  });
+  return { ...state, references, termKeys, termOwners, termIndex: buildNgramIndex(termKeys) };
+};
+
+// Normalizes and indexes both lists; rebuilt once per upload or rule change
+export const createMatchState = ({ raw, references, normalization }, scorers) => {
+  const normalize = compileNormalizer(normalization);
+  const rawKeys = raw.map(item => normalize(item.text));
+  return withReferences({
+    scorers,
+    normalize,
+    raw,
+    rawKeys,
+    rawPositions: new Map(raw.map((item, position) => [item.id, position])),
+    rawIndex: buildNgramIndex(rawKeys)
+  }, references);
+};
+
+// Best score per reference over the given term positions: Map(reference position -> score)
+const scoreReferenceTerms = (state, termPositions, scoreTerm) => {
+  const best = new Map();
+  termPositions.forEach(position => {
+    const owner = state.termOwners[position];
+    const score = scoreTerm(state.termKeys[position]);
+    if (!best.has(owner) || score > best.get(owner)) best.set(owner, score);
+  });
+  return best;
+};
+
+// Substring hits plus index candidates, then exact scoring on the survivors only
+export const searchRawInputs = (state, term, { threshold, scorer }) => {
+  const key = state.normalize(term);
+  if (!key) return null;
+  const scoreFn = state.scorers[scorer] || state.scorers.levenshtein;
+  const positions = new Set(queryNgramIndex(state.rawIndex, key, { minOverlap: threshold / 2 }));
+  state.rawKeys.forEach((text, position) => {
+    if (text.includes(key)) positions.add(position);
+  });
+
+  const results = [];
+  positions.forEach(position => {
+    const text = state.rawKeys[position];
+    const isKeywordMatch = text.includes(key);
+    const score = scoreFn(key, text, isKeywordMatch ? 0 : threshold);
+    if (isKeywordMatch || score >= threshold) {
+      results.push({ id: state.raw[position].id, score, isKeywordMatch });
+    }
+  });
+  return results.sort((x, y) => y.score - x.score);
+};
+
+// Reference ids whose name or an alias resembles the search term, best first. With
+// constraints, `rows` (the rows the search found) limits suggestions to references that
+// at least one of them could match, and the best bonus among them counts.
+export const suggestReferences = (state, term, { scorer, limit = 20, constraints = [], rows = [] }) => {
+  const key = state.normalize(term);
+  if (!key) return [];
+  const scoreFn = state.scorers[scorer] || state.scorers.levenshtein;
+  const positions = new Set(queryNgramIndex(state.termIndex, key, { minOverlap: 0.1, limit: 500 }));
+  state.termKeys.forEach((text, position) => {
+    if (text.includes(key)) positions.add(position);
+  });
+
+  const best = scoreReferenceTerms(state, positions, text =>
+    Math.max(scoreFn(key, text, 0.3), text.includes(key) ? 0.8 : 0));
+  if (constraints.length > 0 && rows.length > 0) {
+    best.forEach((score, owner) => {
+      let bonus = null;
+      rows.forEach(fields => {
+        const check = checkConstraints(fields, state.references[owner].attributes, constraints);
+        if (check.violations.length === 0 && (bonus === null || check.bonus > bonus)) bonus = check.bonus;
+      });
+      if (bonus === null) best.delete(owner);
+      else best.set(owner, Math.min(1, score + bonus));
+    });
+  }
+  return [...best]
+    .filter(([, score]) => score > 0.3)
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, limit)
+    .map(([owner]) => state.references[owner].id);
+};
+
+// Top references for each raw row id, best first: { [rawId]: [{ refId, score }] }.
+// References a row's constraints rule out are left out; bonuses are included in the score.
+export const rankCandidates = (state, ids, { scorer, limit = 5, constraints = [] }) => {
+  const scoreFn = state.scorers[scorer] || state.scorers.levenshtein;
+  const ranked = {};
+  ids.forEach(id => {
+    const position = state.rawPositions.get(id);
+    if (position === undefined) return;
+    const key = state.rawKeys[position];
+    const { fields } = state.raw[position];
+    const terms = queryNgramIndex(state.termIndex, key, { minOverlap: 0.1, limit: 200 });
+    ranked[id] = [...scoreReferenceTerms(state, terms, text => scoreFn(key, text))]
+      .map(([owner, score]) => {
+        const reference = state.references[owner];
+        const { bonus, violations } = checkConstraints(fields, reference.attributes, constraints);
+        return violations.length > 0 ? null : { refId: reference.id, score: Math.min(1, score + bonus) };
+      })
+      .filter(Boolean)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit);
+  });
+  return ranked;
+};
+
+// Re-scores every row not matched by hand; pinned matches and settled rows (ids a person
+// has already decided, e.g. verified) are never touched. rejected maps a row id to the
+// reference ids it must not be given again. Candidates failing a 'same' constraint are
+// skipped and bonuses count towards the tiers.
+export const autoMatch = (state, existing, { acceptAt, reviewAt, scorer, constraints = [], settled = [], rejected = {} }) => {
+  const next = { ...existing };
+  const counts = { auto: 0, suggested: 0, unmatched: 0 };
+  const settledIds = new Set(settled.map(String));
+  const scoreFn = state.scorers[scorer] || state.scorers.levenshtein;
+  const maxBonus = constraints.reduce((sum, rule) => sum + (rule.mode === 'bonus' ? rule.bonus : 0), 0);
+  // Extracts repeat the same spellings, so each distinct key (and set of constrained
+  // values) is scored once
+  const bestByKey = new Map();
+  state.raw.forEach((item, position) => {
+    if (isPinnedMatch(existing[item.id]) || settledIds.has(String(item.id))) return;
+    const key = state.rawKeys[position];
+    const excluded = rejected[item.id] || [];
+    const cacheKey = constraints.length === 0 && excluded.length === 0
+      ? key
+      : JSON.stringify([key, ...constraints.map(rule => constraintValue(item.fields && item.fields[rule.field])), ...excluded]);
+    if (!bestByKey.has(cacheKey)) {
+      let best = null;
+      queryNgramIndex(state.termIndex, key, { minOverlap: 0.2, limit: 50 }).forEach(p => {
+        const reference = state.references[state.termOwners[p]];
+        if (excluded.includes(reference.id)) return;
+        const { bonus, violations } = checkConstraints(item.fields, reference.attributes, constraints);
+        if (violations.length > 0) return;
+        // A bonus can lift a lower raw score past the leader, so the early-exit floor drops by the most it could add
+        const floor = Math.max(0, (best ? best.score : reviewAt) - maxBonus);
+        const score = Math.min(1, scoreFn(key, state.termKeys[p], floor) + bonus);
+        if (!best || score > best.score) best = { id: reference.id, score };
+      });
+      bestByKey.set(cacheKey, best);
+    }
+    const best = bestByKey.get(cacheKey);
+    if (best && best.score >= acceptAt) {
+      next[item.id] = { refId: best.id, score: best.score, method: 'auto', scorer };
+      counts.auto++;
+    } else if (best && best.score >= reviewAt) {
+      next[item.id] = { refId: best.id, score: best.score, method: 'suggested', scorer };
+      counts.suggested++;
+    } else {
+      delete next[item.id];
+      counts.unmatched++;
+    }
+  });
+  return { matches: next, counts };
+};
+
+// Groups rows sharing a normalized key, then folds rarer keys into a more common one
+// when they score at least `cutoff` against it (1 keeps exact duplicates only). Leaders
+// are taken most frequent first and never chain, so a cluster stays close to its leader.
+export const clusterRawInputs = (state, { cutoff, scorer }) => {
+  const scoreFn = state.scorers[scorer] || state.scorers.levenshtein;
+  const idsByKey = new Map();
+  state.raw.forEach((item, position) => {
+    const key = state.rawKeys[position];
+    if (!idsByKey.has(key)) idsByKey.set(key, []);
+    idsByKey.get(key).push(item.id);
+  });
+  const keys = [...idsByKey.keys()].sort((a, b) => idsByKey.get(b).length - idsByKey.get(a).length);
+  const index = cutoff < 1 ? buildNgramIndex(keys) : null;
+  const clustered = new Set();
+  const clusters = [];
+  keys.forEach(key => {
+    if (clustered.has(key)) return;
+    clustered.add(key);
+    const cluster = { key, ids: [...idsByKey.get(key)], variants: 1 };
+    if (index && key) {
+      queryNgramIndex(index, key, { minOverlap: cutoff / 2, limit: 200 }).forEach(position => {
+        const other = keys[position];
+        if (clustered.has(other) || scoreFn(key, other, cutoff) < cutoff) return;
+        clustered.add(other);
+        cluster.ids.push(...idsByKey.get(other));
+        cluster.variants++;
+      });
+    }
+    clusters.push(cluster);
+  });
+  return clusters.sort((a, b) => b.ids.length - a.ids.length);
+};
+
+// Pairs of references whose names or aliases score at least `cutoff` against each
+// other, closest first: [{ a, b, score }] with a and b reference ids
+export const findSimilarReferences = (state, { cutoff, scorer, limit = 200 }) => {
+  const scoreFn = state.scorers[scorer] || state.scorers.levenshtein;
+  const pairs = new Map();
+  state.termKeys.forEach((key, position) => {
+    const owner = state.termOwners[position];
+    queryNgramIndex(state.termIndex, key, { minOverlap: cutoff / 2, limit: 50 }).forEach(other => {
+      const otherOwner = state.termOwners[other];
+      if (otherOwner <= owner) return;
+      const score = scoreFn(key, state.termKeys[other], cutoff);
+      const pairKey = `${owner}:${otherOwner}`;
+      if (score >= cutoff && (!pairs.has(pairKey) || score > pairs.get(pairKey).score)) {
+        pairs.set(pairKey, { a: state.references[owner].id, b: state.references[otherOwner].id, score });
+      }
+    });
+  });
+  return [...pairs.values()].sort((x, y) => y.score - x.score).slice(0, limit);
+};
+
+// Remembered { raw, refId } pairs applied to rows nobody has pinned. Aliases hit on an
+// exact normalized key or a near-exact spelling, and only for references still on the list
+// that the row's 'same' constraints allow.
+export const recallAliases = (state, existing, { aliases, minScore, constraints = [] }) => {
+  const scoreFn = state.scorers.levenshtein;
+  const positions = new Map(state.references.map((reference, position) => [reference.id, position]));
+  const usable = aliases.filter(alias => positions.has(alias.refId));
+  const keys = usable.map(alias => state.normalize(alias.raw));
+  const exact = new Map(keys.map((key, i) => [key, usable[i].refId]));
+  const index = buildNgramIndex(keys);
+  const recalled = {};
+  const refIdByKey = new Map();
+  state.raw.forEach((item, position) => {
+    if (isPinnedMatch(existing[item.id])) return;
+    const key = state.rawKeys[position];
+    if (!key) return;
+    if (!refIdByKey.has(key)) {
+      let refId = exact.get(key) || null;
+      if (!refId) {
+        const candidates = queryNgramIndex(index, key, { minOverlap: 0.5, limit: 20 })
+          .map(p => ({ id: usable[p].refId, key: keys[p] }));
+        const best = findBestMatch(key, candidates, scoreFn, minScore);
+        if (best && best.score >= minScore) refId = best.id;
+      }
+      refIdByKey.set(key, refId);
+    }
+    const refId = refIdByKey.get(key);
+    const reference = refId && state.references[positions.get(refId)];
+    if (reference && checkConstraints(item.fields, reference.attributes, constraints).violations.length === 0) {
+      const score = Math.max(...referenceTerms(reference).map(term => scoreFn(key, state.normalize(term))));
+      recalled[item.id] = { refId, method: 'memory', scorer: 'levenshtein', score };
+    }
+  });
+  return recalled;
+};
+
+// Single entry point for engine requests; returns the next state and the reply
+export const handleMatchMessage = (state, { type, payload }, scorers) => {
+  if (type === 'load') {
+    const next = createMatchState(payload, scorers);
+    return { state: next, result: { raw: next.raw.length, references: next.references.length } };
+  }
+  if (!state) return { state, result: null };
+  switch (type) {
+    case 'setReferences':
+      return { state: withReferences(state, payload.references), result: null };
+    case 'search': {
+      const filtered = searchRawInputs(state, payload.term, payload);
+      // Suggestions answer to the constraints of the best rows found
+      const rows = (filtered || []).slice(0, 200).map(hit => state.raw[state.rawPositions.get(hit.id)].fields);
+      return {
+        state,
+        result: { filtered, suggestions: suggestReferences(state, payload.term, { ...payload, rows }) }
+      };
+    }
+    case 'autoMatch':
+      return { state, result: autoMatch(state, payload.existing, payload) };
+    case 'candidates':
+      return { state, result: rankCandidates(state, payload.ids, payload) };
+    case 'recall':
+      return { state, result: recallAliases(state, payload.existing, payload) };
+    case 'cluster':
+      return { state, result: clusterRawInputs(state, payload) };
+    case 'similarReferences':
+      return { state, result: findSimilarReferences(state, payload) };
+    default:
+      throw new Error(`Unknown match request: ${type}`);
+  }
+};
+
+// Everything the engine is built from, so it can be shipped to a worker by name
+export const WORKER_FUNCTIONS = [
+  getLevenshteinDistance,
+  getSimilarityScore,
+  tokenize,
+  getTokenSortScore,
+  getTokenSetScore,
+  getJaroWinklerScore,
+  getNgrams,
+  getTrigramScore,
+  getBlendScore,
+  escapeRegExp,
+  compileNormalizer,
+  referenceTerms,
+  constraintValue,
+  checkConstraints,
+  isPinnedMatch,
+  findBestMatch,
+  buildNgramIndex,
+  queryNgramIndex,
+  withReferences,
+  createMatchState,
+  scoreReferenceTerms,
+  searchRawInputs,
+  suggestReferences,
+  rankCandidates,
+  autoMatch,
+  clusterRawInputs,
+  findSimilarReferences,
+  recallAliases,
+  handleMatchMessage
+];
+
+export const SCORER_FUNCTIONS = Object.fromEntries(
+  Object.entries(SCORERS).map(([key, { score }]) => [key, score])
+);
+
+// --- CSV Parsing & Writing (RFC 4180) ---
+export const DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: '\t', label: 'Tab' },
+  { value: ';', label: 'Semicolon' }
+];
+
+// Matches header cells we commonly see in facility extracts
+const HEADER_HINT = /^(id|name|names|facility|facility[ _]?name|hospital|hospital[ _]?name|raw|raw[ _]?input|input|clean[ _]?name|city|state|zip)$/i;
+
+const isNumericCell = (value) => value.trim() !== '' && !isNaN(Number(value.trim()));
+
+// Quote-aware parser: handles "" escapes, delimiters and newlines inside quoted fields.
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Picks the delimiter that yields the most consistent multi-column layout in a sample.
+const sniffDelimiter = (text) => {
+  const sample = text.slice(0, 20000);
+  let best = { delimiter: ',', consistency: 0, width: 1 };
+  DELIMITERS.forEach(({ value }) => {
+    let rows = parseDelimited(sample, value);
+    // The last sampled row may be cut off mid-line
+    if (sample.length < text.length) rows = rows.slice(0, -1);
+    rows = rows.slice(0, 50);
+    if (rows.length === 0) return;
+    const width = rows[0].length;
+    if (width < 2) return;
+    const consistency = rows.filter(r => r.length === width).length / rows.length;
+    if (
+      consistency > best.consistency ||
+      (consistency === best.consistency && width > best.width)
+    ) {
+      best = { delimiter: value, consistency, width };
+    }
+  });
+  return best.delimiter;
+};
+
+const detectHeader = (rows) => {
+  if (rows.length < 2) return false;
+  const [first, ...rest] = rows;
+  if (first.some(cell => HEADER_HINT.test(cell.trim()))) return true;
+  if (first.some(cell => cell.trim() === '' || isNumericCell(cell))) return false;
+  const distinct = new Set(first.map(cell => cell.trim().toLowerCase()));
+  if (distinct.size !== first.length) return false;
+  // A column that is numeric below the first row but not in it is a strong header signal
+  const sample = rest.slice(0, 50);
+  return first.some((_, col) => {
+    const values = sample.map(r => r[col] || '');
+    return values.filter(isNumericCell).length >= values.length / 2;
+  });
+};
+
+export const parseCsv = (text, options = {}) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || sniffDelimiter(source);
+  const allRows = parseDelimited(source, delimiter);
+  const hasHeader = options.hasHeader !== undefined ? options.hasHeader : detectHeader(allRows);
+  const width = allRows.reduce((max, r) => Math.max(max, r.length), 0);
+
+  // Header names key the passthrough fields, so they must be non-empty and unique
+  const seen = new Set();
+  const headers = Array.from({ length: width }, (_, i) => {
+    let label = (hasHeader && allRows[0][i] ? allRows[0][i].trim() : '') || `Column ${i + 1}`;
+    const base = label;
+    for (let n = 2; seen.has(label); n++) label = `${base} (${n})`;
+    seen.add(label);
+    return label;
+  });
+
+  const rows = (hasHeader ? allRows.slice(1) : allRows).map(r =>
+    r.length < width ? [...r, ...Array(width - r.length).fill('')] : r
+  );
+  return { delimiter, hasHeader, headers, rows };
+};
+
+// Best guess at which column holds the facility name
+export const guessNameColumn = (headers, rows) => {
+  const byHeader = headers.findIndex(h => /name|facility|hospital/i.test(h));
+  if (byHeader !== -1) return byHeader;
+  const sample = rows.slice(0, 50);
+  let best = { index: 0, score: -1 };
+  headers.forEach((_, col) => {
+    const values = sample.map(r => r[col] || '');
+    const textual = values.filter(v => v.trim() !== '' && !isNumericCell(v));
+    const avgLength = textual.reduce((sum, v) => sum + v.length, 0) / (textual.length || 1);
+    const score = textual.length * avgLength;
+    if (score > best.score) best = { index: col, score };
+  });
+  return best.index;
+};
+
+// Identifier and alias columns of a reference list, -1 when there is no likely column
+export const guessReferenceColumns = (headers, nameColumn) => {
+  const find = (pattern) => headers.findIndex((h, i) => i !== nameColumn && pattern.test(h.trim()));
+  return {
+    idColumn: find(/^(id|ccn|npi|cms[ _]?ccn|.*[ _]id)$/i),
+    aliasColumn: find(/alias|aka|also[ _]known/i)
+  };
+};
+
+// Writes rows back out, quoting only the cells that need it
+const escapeDelimitedCell = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+export const toDelimited = (headers, rows, delimiter) =>
+  [headers, ...rows]
+    .map(cells => cells.map(cell => escapeDelimitedCell(cell, delimiter)).join(delimiter))
+    .join('\r\n');
+
+// --- Alias Memory ---
+// Confirmed matches are remembered as { key, raw, name, refId, count, updatedAt } entries.
+// Keys use the default rules so the table means the same thing in every session; the
+// name is kept so entries still resolve against a reference list with different ids.
+export const ALIAS_NEAR_EXACT = 0.95;
+export const ALIAS_HEADERS = ['Raw Text', 'Clean Name', 'Reference ID', 'Times Confirmed', 'Last Confirmed'];
+
+export const aliasKey = compileNormalizer(DEFAULT_NORMALIZATION);
+
+// Folds { raw, name, refId?, count? } pairs into the table, returning only the entries that changed
+export const learnAliases = (table, pairs) => {
+  const updatedAt = new Date().toISOString();
+  const changed = new Map();
+  pairs.forEach(({ raw, name, refId = null, count = 1 }) => {
+    const key = aliasKey(raw);
+    if (!key || !name) return;
+    const previous = changed.get(key) || table[key];
+    const sameTarget = previous && previous.name === name && (!refId || !previous.refId || previous.refId === refId);
+    changed.set(key, { key, raw, name, refId: refId || (sameTarget ? previous.refId : null), count: sameTarget ? previous.count + count : count, updatedAt });
+  });
+  return [...changed.values()];
+};
+
+// Takes { raw, name, count? } pairs back out of the table: the count drops, and an entry
+// confirmed no more often than that goes. Pairs naming another clean name are ignored.
+export const forgetAliases = (table, pairs) => {
+  const changed = new Map();
+  const removed = new Set();
+  pairs.forEach(({ raw, name, count = 1 }) => {
+    const key = aliasKey(raw);
+    const previous = removed.has(key) ? null : changed.get(key) || table[key];
+    if (!previous || previous.name !== name) return;
+    if (previous.count > count) {
+      changed.set(key, { ...previous, count: previous.count - count });
+      return;
+    }
+    changed.delete(key);
+    removed.add(key);
+  });
+  return { entries: [...changed.values()], removedKeys: [...removed] };
+};
+
+// Entries point at their reference id when it is still on the list, otherwise by name
+export const resolveAlias = (entry, referenceById, idByName) => {
+  if (entry.refId && referenceById.has(entry.refId)) return entry.refId;
+  return idByName.get(entry.name) || null;
+};
+
+export const buildAliasTable = (table) => ({
+  headers: ALIAS_HEADERS,
+  rows: Object.values(table)
+    .sort((a, b) => a.raw.localeCompare(b.raw))
+    .map(entry => [entry.raw, entry.name, entry.refId || '', String(entry.count), entry.updatedAt])
+});
+
+// Accepts our own export or any two-column raw/clean file
+export const parseAliasTable = (text) => {
+  const { headers, rows } = parseCsv(text);
+  const find = (pattern, fallback) => {
+    const index = headers.findIndex(h => pattern.test(h));
+    return index === -1 ? fallback : index;
+  };
+  const rawColumn = find(/raw|alias|input/i, 0);
+  const nameColumn = find(/clean|match/i, rawColumn === 1 ? 0 : 1);
+  const idColumn = find(/\bid\b/i, -1);
+  const countColumn = find(/times|count/i, -1);
+  return rows
+    .map(cells => ({
+      raw: (cells[rawColumn] || '').trim(),
+      name: (cells[nameColumn] || '').trim(),
+      refId: idColumn === -1 ? null : (cells[idColumn] || '').trim() || null,
+      count: countColumn === -1 ? 1 : parseInt(cells[countColumn], 10) || 1
+    }))
+    .filter(pair => pair.raw && pair.name);
+};
+
+// --- Matcher ---
+// The defaults the app starts from
+export const DEFAULT_ACCEPT_AT = 0.9;
+export const DEFAULT_REVIEW_AT = 0.7;
+
+// Ids are source row positions so rows with a blank name keep their place
+export const rowsFromTable = (headers, rows, { nameColumn, fieldColumns = [] }) => rows
+  .map((cells, i) => ({
+    id: i,
+    text: (cells[nameColumn] || '').trim(),
+    fields: Object.fromEntries(fieldColumns.map(c => [headers[c], cells[c]]))
+  }))
+  .filter(item => item.text !== '');
+
+// A reference list plus rules, ready to match batches of rows against. Each call
+// indexes its rows afresh, so a matcher can be reused across files.
+export const createMatcher = ({ references, normalization = DEFAULT_NORMALIZATION, scorer = DEFAULT_SCORER, constraints = [] }) => {
+  const list = normalizeReferences(references);
+  const referenceById = new Map(list.map(reference => [reference.id, reference]));
+  const idByName = new Map(list.map(reference => [reference.name, reference.id]));
+  const stateFor = (rows) => createMatchState({ raw: rows, references: list, normalization }, SCORER_FUNCTIONS);
+
+  return {
+    references: list,
+    // Remembered aliases first, then auto-matching for the rest, as the app applies them.
+    // existing matches made by hand are kept. Returns { matches, counts } keyed by row id.
+    match: (rows, { acceptAt = DEFAULT_ACCEPT_AT, reviewAt = DEFAULT_REVIEW_AT, aliases = [], existing = {} } = {}) => {
+      const state = stateFor(rows);
+      const remembered = aliases
+        .map(entry => ({ raw: entry.raw, refId: resolveAlias(entry, referenceById, idByName) }))
+        .filter(alias => alias.refId);
+      const recalled = remembered.length > 0
+        ? recallAliases(state, existing, { aliases: remembered, minScore: ALIAS_NEAR_EXACT, constraints })
+        : {};
+      const result = autoMatch(state, { ...existing, ...recalled }, { acceptAt, reviewAt, scorer, constraints });
+      return { matches: result.matches, counts: { ...result.counts, memory: Object.keys(recalled).length } };
+    },
+    // Top references per row, best first: { [rowId]: [{ refId, score }] }
+    candidates: (rows, { limit = 5 } = {}) =>
+      rankCandidates(stateFor(rows), rows.map(row => row.id), { scorer, limit, constraints })
+  };
+};
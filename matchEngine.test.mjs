@@ -0,0 +1,173 @@
+// Run with: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCORER_FUNCTIONS,
+  createReference,
+  recordsFromRows,
+  mergeReferences,
+  createMatchState,
+  autoMatch,
+  recallAliases,
+  checkConstraints,
+  parseCsv,
+  rowsFromTable,
+  createMatcher
+} from './matchEngine.mjs';
+
+const stateFor = (raw, references) => createMatchState({ raw, references }, SCORER_FUNCTIONS);
+
+const SAME_STATE = [{ field: 'State', attribute: 'State', mode: 'same', bonus: 0 }];
+
+// --- CSV Parsing ---
+test('parseCsv handles quotes, escaped quotes and line breaks inside fields', () => {
+  const { headers, rows } = parseCsv('Name,Note\r\n"Mercy, Hospital","Said ""hi""\nthen left"\r\nSaint Luke,\n');
+  assert.deepEqual(headers, ['Name', 'Note']);
+  assert.deepEqual(rows, [['Mercy, Hospital', 'Said "hi"\nthen left'], ['Saint Luke', '']]);
+});
+
+test('parseCsv strips a byte order mark and sniffs the delimiter', () => {
+  const { delimiter, headers, rows } = parseCsv('\uFEFFFacility;State\nMercy;MO\nSaint Luke;CA\n');
+  assert.equal(delimiter, ';');
+  assert.deepEqual(headers, ['Facility', 'State']);
+  assert.deepEqual(rows, [['Mercy', 'MO'], ['Saint Luke', 'CA']]);
+});
+
+test('parseCsv pads short rows, names blank headers and keeps duplicates apart', () => {
+  const { headers, rows } = parseCsv('Name,Name,\nMercy,Mercy Med,1\nSaint Luke\n');
+  assert.deepEqual(headers, ['Name', 'Name (2)', 'Column 3']);
+  assert.deepEqual(rows[1], ['Saint Luke', '', '']);
+});
+
+test('parseCsv treats a first row without header cues as data', () => {
+  const { hasHeader, headers, rows } = parseCsv('Mercy Hospital,MO\nSaint Luke,CA\n');
+  assert.equal(hasHeader, false);
+  assert.deepEqual(headers, ['Column 1', 'Column 2']);
+  assert.equal(rows.length, 2);
+});
+
+// --- Auto-Matching ---
+test('autoMatch sorts rows into auto, suggested and unmatched by score', () => {
+  const references = [createReference('Saint Luke Medical Center'), createReference('Mercy Hospital')];
+  const raw = [
+    { id: 0, text: 'Saint Luke Medical Center' },
+    { id: 1, text: 'Mercy Hosptal' },
+    { id: 2, text: 'Riverside Clinic' }
+  ];
+  const { matches, counts } = autoMatch(stateFor(raw, references), {}, { acceptAt: 0.95, reviewAt: 0.7, scorer: 'levenshtein' });
+  assert.deepEqual(counts, { auto: 1, suggested: 1, unmatched: 1 });
+  assert.equal(matches[0].method, 'auto');
+  assert.equal(matches[1].method, 'suggested');
+  assert.equal(matches[1].refId, 'Mercy Hospital');
+  assert.equal(matches[2], undefined);
+});
+
+test('autoMatch leaves manual and remembered matches alone', () => {
+  const references = [createReference('Mercy Hospital'), createReference('Saint Luke Medical Center')];
+  const raw = [{ id: 0, text: 'Mercy Hospital' }];
+  const existing = { 0: { refId: 'Saint Luke Medical Center', method: 'manual', score: 0.2, scorer: 'levenshtein' } };
+  const { matches, counts } = autoMatch(stateFor(raw, references), existing, { acceptAt: 0.9, reviewAt: 0.7, scorer: 'levenshtein' });
+  assert.equal(matches[0], existing[0]);
+  assert.deepEqual(counts, { auto: 0, suggested: 0, unmatched: 0 });
+});
+
+test('autoMatch leaves settled rows alone on a stricter re-pass', () => {
+  const references = [createReference('Mercy Hospital'), createReference('Mercy Hospice')];
+  const raw = [{ id: 0, text: 'Mercy Hosptal' }, { id: 1, text: 'Mercy Hosptal' }];
+  const state = stateFor(raw, references);
+  const first = autoMatch(state, {}, { acceptAt: 0.9, reviewAt: 0.7, scorer: 'levenshtein' });
+  assert.equal(first.matches[0].method, 'auto');
+
+  // Row 0 was verified and row 1 set aside; neither may be re-scored away
+  const { matches, counts } = autoMatch(state, first.matches, {
+    acceptAt: 0.99,
+    reviewAt: 0.98,
+    scorer: 'levenshtein',
+    settled: ['0', '1']
+  });
+  assert.equal(matches[0], first.matches[0]);
+  assert.equal(matches[1], first.matches[1]);
+  assert.deepEqual(counts, { auto: 0, suggested: 0, unmatched: 0 });
+});
+
+test('autoMatch never proposes a reference rejected for that row', () => {
+  const references = [createReference('Mercy Hospital'), createReference('Mercy Hospice')];
+  const raw = [{ id: 0, text: 'Mercy Hosptal' }, { id: 1, text: 'Mercy Hosptal' }];
+  const { matches } = autoMatch(stateFor(raw, references), {}, {
+    acceptAt: 0.9,
+    reviewAt: 0.7,
+    scorer: 'levenshtein',
+    rejected: { 0: ['Mercy Hospital'] }
+  });
+  assert.equal(matches[0].refId, 'Mercy Hospice');
+  assert.equal(matches[1].refId, 'Mercy Hospital');
+});
+
+// --- Alias Memory ---
+test('recallAliases applies exact and near-exact remembered spellings', () => {
+  const references = [createReference('Saint Luke Medical Center', { id: 'L1' })];
+  const raw = [
+    { id: 0, text: 'SLMC' },
+    { id: 1, text: 'St. Lukes Med Ctr.' },
+    { id: 2, text: 'Unrelated' }
+  ];
+  const aliases = [{ raw: 'slmc', refId: 'L1' }, { raw: 'St Lukes Med Ctr', refId: 'L1' }];
+  const recalled = recallAliases(stateFor(raw, references), {}, { aliases, minScore: 0.95 });
+  assert.deepEqual(Object.keys(recalled), ['0', '1']);
+  assert.equal(recalled[0].method, 'memory');
+  assert.equal(recalled[1].refId, 'L1');
+});
+
+test('recallAliases skips pinned rows, unknown references and constraint breaks', () => {
+  const references = [createReference('Mercy Hospital', { id: 'M', attributes: { State: 'MO' } })];
+  const raw = [
+    { id: 0, text: 'Mercy', fields: { State: 'MO' } },
+    { id: 1, text: 'Mercy', fields: { State: 'OH' } },
+    { id: 2, text: 'Mercy', fields: { State: 'MO' } }
+  ];
+  const existing = { 2: { refId: 'M', method: 'manual' } };
+  const aliases = [{ raw: 'Mercy', refId: 'M' }, { raw: 'Mercy', refId: 'gone' }];
+  const recalled = recallAliases(stateFor(raw, references), existing, { aliases, minScore: 0.95, constraints: SAME_STATE });
+  assert.deepEqual(Object.keys(recalled), ['0']);
+});
+
+// --- Constraints ---
+test('checkConstraints blocks mismatches, rewards bonus matches and ignores blanks', () => {
+  const rules = [...SAME_STATE, { field: 'Zip', attribute: 'ZIP', mode: 'bonus', bonus: 0.05 }];
+  assert.equal(checkConstraints({ State: 'mo' }, { State: 'MO' }, rules).violations.length, 0);
+  assert.equal(checkConstraints({ State: 'OH' }, { State: 'MO' }, rules).violations.length, 1);
+  assert.equal(checkConstraints({ State: '' }, { State: 'MO' }, rules).violations.length, 0);
+  assert.equal(checkConstraints({ Zip: '63101-1234' }, { ZIP: '63101' }, rules).bonus, 0.05);
+});
+
+test('same-named references in different states stay apart and match by state', () => {
+  const reference = parseCsv('Name,State\nMercy Hospital,MO\nMercy Hospital,OH\nMercy Hospital,FL\n');
+  const references = mergeReferences([], recordsFromRows(reference.headers, reference.rows, {
+    nameColumn: 0,
+    idColumn: -1,
+    aliasColumn: -1,
+    attributeColumns: [1]
+  }));
+  assert.deepEqual(references.map(r => r.attributes.State), ['MO', 'OH', 'FL']);
+  assert.equal(new Set(references.map(r => r.id)).size, 3);
+
+  const raw = parseCsv('Facility,State\nMercy Hospital,OH\nMercy Hospital,MO\nMercy Hospital,TX\n');
+  const rows = rowsFromTable(raw.headers, raw.rows, { nameColumn: 0, fieldColumns: [1] });
+  const { matches, counts } = createMatcher({ references, constraints: SAME_STATE }).match(rows);
+  const stateOf = (id) => references.find(r => r.id === matches[id].refId).attributes.State;
+  assert.equal(stateOf(0), 'OH');
+  assert.equal(stateOf(1), 'MO');
+  assert.equal(matches[2], undefined);
+  assert.equal(counts.auto, 2);
+});
+
+test('re-importing the same list updates references instead of adding them', () => {
+  const records = [
+    { name: 'Mercy Hospital', id: '', aliases: [], attributes: { State: 'MO' } },
+    { name: 'Mercy Hospital', id: '', aliases: [], attributes: { State: 'OH' } }
+  ];
+  const first = mergeReferences([], records);
+  const again = mergeReferences(first, records.map(record => ({ ...record, aliases: ['Mercy'] })));
+  assert.equal(again.length, 2);
+  assert.deepEqual(again.map(r => r.aliases), [['Mercy'], ['Mercy']]);
+});